@@ -0,0 +1,15 @@
+// Paid visibility boosts. Plans include a monthly allowance (`monthlyBoosts` in
+// config/tiers.js); anyone can also buy single boosts, which are kept as boostCredits.
+module.exports = {
+    durationMinutes: parseInt(process.env.BOOST_DURATION_MINUTES || '30'),
+    priceCents: parseInt(process.env.BOOST_PRICE_CENTS || '399'),
+    maxPurchaseQuantity: 10,
+
+    // At most one boosted card in every `slotInterval` deck positions
+    slotInterval: parseInt(process.env.BOOST_SLOT_INTERVAL || '5'),
+    // A boost stops getting lifted placements after this many boosted impressions
+    maxBoostedImpressions: parseInt(process.env.BOOST_MAX_IMPRESSIONS || '300'),
+
+    // Likes over this many days before the boost set the expected rate in the report
+    baselineDays: 7
+};
@@ -0,0 +1,52 @@
+// Weights for the compatibility engine. Component weights are renormalized over the
+// components that apply to a pair, so a missing signal (no interests listed, no
+// location) doesn't drag the score down. Bump `version` whenever scoring changes.
+const defaultWeights = {
+    personality: 0.40,
+    interests: 0.15,
+    values: 0.15,
+    lifestyle: 0.10,
+    preferences: 0.10,
+    distance: 0.10
+};
+
+module.exports = {
+    version: 3,
+
+    // e.g. COMPATIBILITY_WEIGHTS='{"personality":0.5,"distance":0}'
+    weights: { ...defaultWeights, ...JSON.parse(process.env.COMPATIBILITY_WEIGHTS || '{}') },
+
+    personalityWeights: {
+        openness: 0.15,
+        conscientiousness: 0.20,
+        extraversion: 0.18,
+        agreeableness: 0.22,
+        neuroticism: 0.15,
+        emotionalIntelligence: 0.10
+    },
+
+    // Lifestyle answers are on a 1-5 scale; each step apart costs 20 points
+    lifestyleFactors: ['exerciseFrequency', 'drinkingHabits', 'socialLevel', 'sleepSchedule'],
+
+    // Used when the viewer hasn't set a max distance
+    defaultMaxDistanceMiles: 50,
+
+    // Precomputed pairwise scores (see CompatibilityIndexService)
+    index: {
+        // Candidates within this radius (or the user's own max distance, if larger) are indexed
+        poolRadiusMiles: parseInt(process.env.COMPATIBILITY_INDEX_RADIUS_MILES || '100'),
+        poolSize: parseInt(process.env.COMPATIBILITY_INDEX_POOL_SIZE || '2000'),
+        // Time /discover may spend collecting live-scored pairs to write back to the index; pairs
+        // scored after that are served but not saved. This doesn't bound scoring itself.
+        writeBackBudgetMs: parseInt(
+            process.env.COMPATIBILITY_INDEX_WRITE_BACK_BUDGET_MS || process.env.COMPATIBILITY_INDEX_LATENCY_BUDGET_MS || '250'
+        )
+    },
+
+    matchTypes: [
+        { type: 'perfect', minScore: 90 },
+        { type: 'excellent', minScore: 80 },
+        { type: 'good', minScore: 70 },
+        { type: 'potential', minScore: 0 }
+    ]
+};
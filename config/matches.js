@@ -0,0 +1,9 @@
+// Mutual matches expire if nobody sends a first message in time. Extending is a premium
+// feature (see `extendMatch` in config/tiers.js).
+module.exports = {
+    expiryHours: parseInt(process.env.MATCH_EXPIRY_HOURS || '72'),
+    // "Your turn" reminder to both people this long before expiry
+    reminderHoursBefore: parseInt(process.env.MATCH_REMINDER_HOURS_BEFORE || '24'),
+    extendHours: parseInt(process.env.MATCH_EXTEND_HOURS || '24'),
+    maxExtensions: 1
+};
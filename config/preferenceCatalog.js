@@ -0,0 +1,133 @@
+// Profile questions and the matching partner preferences. Register, profile editing and the
+// compatibility scorer all read this list, so adding an item here is all it takes.
+//
+// A user answers an item about themselves (user.attributes[key]) and may set a preference
+// about a partner (user.partnerPreferences[key] = { accepts: [...options], importance }).
+// An unanswered item is never held against anyone.
+module.exports = {
+    // Points taken off the preferences score (which starts at 100) for each preference
+    // the other person's answer doesn't meet
+    importance: {
+        // Hard deal-breaker: the pair is never shown to each other
+        dealbreaker: { label: 'Deal-breaker', veto: true, penalty: 100 },
+        strong: { label: 'Strong preference', penalty: 40 },
+        nice: { label: 'Nice to have', penalty: 10 }
+    },
+
+    items: [
+        {
+            key: 'relationshipGoal',
+            label: 'Relationship goal',
+            partnerLabel: 'Looking for someone who wants',
+            options: [
+                { value: 'marriage', label: 'Marriage' },
+                { value: 'long_term', label: 'A long-term relationship' },
+                { value: 'short_term', label: 'Something casual' },
+                { value: 'figuring_out', label: 'Still figuring it out' }
+            ]
+        },
+        {
+            key: 'wantsKids',
+            label: 'Do you want children?',
+            partnerLabel: 'Partner wants children',
+            options: [
+                { value: 'yes', label: 'Yes' },
+                { value: 'no', label: 'No' },
+                { value: 'open', label: 'Open to it' },
+                { value: 'unsure', label: 'Not sure' }
+            ]
+        },
+        {
+            key: 'hasKids',
+            label: 'Do you have children?',
+            partnerLabel: 'Partner has children',
+            options: [
+                { value: 'no', label: 'No' },
+                { value: 'yes', label: 'Yes' }
+            ]
+        },
+        {
+            key: 'religion',
+            label: 'Religion',
+            partnerLabel: 'Partner religion',
+            options: [
+                { value: 'agnostic', label: 'Agnostic' },
+                { value: 'atheist', label: 'Atheist' },
+                { value: 'buddhist', label: 'Buddhist' },
+                { value: 'christian', label: 'Christian' },
+                { value: 'hindu', label: 'Hindu' },
+                { value: 'jewish', label: 'Jewish' },
+                { value: 'muslim', label: 'Muslim' },
+                { value: 'sikh', label: 'Sikh' },
+                { value: 'spiritual', label: 'Spiritual' },
+                { value: 'other', label: 'Other' }
+            ]
+        },
+        {
+            key: 'politics',
+            label: 'Politics',
+            partnerLabel: 'Partner politics',
+            options: [
+                { value: 'liberal', label: 'Liberal' },
+                { value: 'moderate', label: 'Moderate' },
+                { value: 'conservative', label: 'Conservative' },
+                { value: 'not_political', label: 'Not political' },
+                { value: 'other', label: 'Other' }
+            ]
+        },
+        {
+            key: 'drinking',
+            label: 'Drinking',
+            partnerLabel: 'Partner drinks',
+            options: [
+                { value: 'never', label: 'Never' },
+                { value: 'socially', label: 'Socially' },
+                { value: 'regularly', label: 'Regularly' }
+            ]
+        },
+        {
+            key: 'smoking',
+            label: 'Smoking',
+            partnerLabel: 'Partner smokes',
+            options: [
+                { value: 'never', label: 'Never' },
+                { value: 'socially', label: 'Socially' },
+                { value: 'regularly', label: 'Regularly' }
+            ]
+        },
+        {
+            key: 'pets',
+            label: 'Pets',
+            partnerLabel: 'Partner has pets',
+            options: [
+                { value: 'none', label: 'No pets' },
+                { value: 'dogs', label: 'Dog(s)' },
+                { value: 'cats', label: 'Cat(s)' },
+                { value: 'other', label: 'Other pets' }
+            ]
+        },
+        {
+            key: 'education',
+            label: 'Education',
+            partnerLabel: 'Partner education',
+            options: [
+                { value: 'high_school', label: 'High school' },
+                { value: 'trade_school', label: 'Trade school' },
+                { value: 'some_college', label: 'Some college' },
+                { value: 'bachelors', label: "Bachelor's degree" },
+                { value: 'graduate', label: 'Graduate degree' }
+            ]
+        },
+        {
+            key: 'diet',
+            label: 'Diet',
+            partnerLabel: 'Partner diet',
+            options: [
+                { value: 'omnivore', label: 'Omnivore' },
+                { value: 'vegetarian', label: 'Vegetarian' },
+                { value: 'vegan', label: 'Vegan' },
+                { value: 'other', label: 'Other' }
+            ]
+        }
+    ]
+};
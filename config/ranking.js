@@ -0,0 +1,52 @@
+// Learning-to-rank layer on top of the compatibility score (see RankingService).
+//
+// Cold start: the deck falls back to pure compatibility ordering when no model has been
+// trained yet, and for viewers with fewer than `minViewerActions` likes/passes. Between
+// that and `fullBlendActions` the learned score is phased in linearly. Candidates with
+// little history have their like rate shrunk towards the global rate by `priorStrength`
+// pseudo-actions, so new profiles are neither buried nor boosted by one or two swipes.
+module.exports = {
+    // Share of the final deck score taken from the learned model once fully phased in
+    blendWeight: parseFloat(process.env.RANKING_BLEND_WEIGHT || '0.35'),
+
+    minViewerActions: parseInt(process.env.RANKING_MIN_VIEWER_ACTIONS || '20'),
+    fullBlendActions: parseInt(process.env.RANKING_FULL_BLEND_ACTIONS || '100'),
+    priorStrength: 20,
+
+    // Deck score points added for someone who super-liked the viewer
+    superLikeBoost: parseInt(process.env.SUPER_LIKE_DECK_BOOST || '15'),
+
+    // Exposure fairness stage (see ExposureService). Impressions are counted over the last
+    // `windowDays` full UTC days, so scores hold still while someone pages through a deck.
+    exposure: {
+        windowDays: 7,
+        // Points taken off per doubling of a profile's impressions above the average
+        // profile's, up to `maxPenalty`
+        dampeningPoints: parseInt(process.env.EXPOSURE_DAMPENING_POINTS || '8'),
+        maxPenalty: 25,
+        // Profiles younger than `newUserDays` are lifted by up to `newUserBoost` points
+        // until they've had `newUserBudget` impressions, counted up to the start of each day
+        newUserDays: 3,
+        newUserBudget: parseInt(process.env.EXPOSURE_NEW_USER_BUDGET || '100'),
+        newUserBoost: 20
+    },
+
+    training: {
+        // Most recent Match records used for training and evaluation
+        maxRecords: parseInt(process.env.RANKING_MAX_RECORDS || '100000'),
+        // Newest share of records held out for evaluation
+        holdoutFraction: 0.2,
+        epochs: 200,
+        learningRate: 0.5,
+        l2: 0.001,
+        // Sample weights: super-likes and likes that became mutual are stronger signals
+        superLikeWeight: 1.5,
+        mutualWeight: 2
+    },
+
+    evaluation: {
+        k: 10,
+        // Viewers need at least this many held-out actions to be scored
+        minViewerActions: 5
+    }
+};
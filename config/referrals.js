@@ -0,0 +1,23 @@
+// Referral rewards. A referral is "pending" until the referred user hits the
+// qualifying event, then both sides receive their reward.
+module.exports = {
+    // 'email_verified' or 'payment'
+    qualifyOn: process.env.REFERRAL_QUALIFY_ON || 'email_verified',
+
+    rewards: {
+        referrer: {
+            premiumDays: parseInt(process.env.REFERRAL_REFERRER_PREMIUM_DAYS || '7'),
+            boosts: parseInt(process.env.REFERRAL_REFERRER_BOOSTS || '1')
+        },
+        referred: {
+            premiumDays: parseInt(process.env.REFERRAL_REFERRED_PREMIUM_DAYS || '3'),
+            boosts: parseInt(process.env.REFERRAL_REFERRED_BOOSTS || '0')
+        }
+    },
+
+    // Caps how many referrals one person can be rewarded for in 30 days
+    maxRewardsPer30Days: parseInt(process.env.REFERRAL_MAX_REWARDS_PER_30_DAYS || '20'),
+
+    // Referrals one person can collect from a single /24 (IPv6: /64) in 30 days
+    maxReferralsPerSubnet: parseInt(process.env.REFERRAL_MAX_PER_SUBNET || '3')
+};
@@ -0,0 +1,39 @@
+// Per-plan limits and features. Plan names match user.subscription.plan.
+// Daily limits reset at midnight in the user's time zone; null means unlimited.
+// Boolean features are checked through EntitlementService / requireEntitlement.
+module.exports = {
+    free: {
+        dailyDeckSize: parseInt(process.env.DECK_SIZE_FREE || '25'),
+        dailyLikes: parseInt(process.env.DAILY_LIKES_FREE || '50'),
+        dailySuperLikes: 1,
+        rewind: false,
+        extendMatch: false,
+        monthlyBoosts: 0,
+        incognito: false,
+        aiCoaching: false,
+        // 'count': totals only; 'blurred': anonymous cards; 'full': who liked you
+        likesInbox: process.env.LIKES_INBOX_FREE || 'blurred'
+    },
+    premium: {
+        dailyDeckSize: parseInt(process.env.DECK_SIZE_PREMIUM || '100'),
+        dailyLikes: null,
+        dailySuperLikes: 5,
+        rewind: true,
+        extendMatch: true,
+        monthlyBoosts: 1,
+        incognito: true,
+        aiCoaching: true,
+        likesInbox: 'full'
+    },
+    premium_plus: {
+        dailyDeckSize: parseInt(process.env.DECK_SIZE_PREMIUM_PLUS || '250'),
+        dailyLikes: null,
+        dailySuperLikes: 10,
+        rewind: true,
+        extendMatch: true,
+        monthlyBoosts: 4,
+        incognito: true,
+        aiCoaching: true,
+        likesInbox: 'full'
+    }
+};
@@ -0,0 +1,6 @@
+// Travel ("passport") mode: discover and be discovered in another city for a while
+module.exports = {
+    maxTripDays: parseInt(process.env.TRAVEL_MAX_TRIP_DAYS || '30'),
+    // How far ahead a trip can be scheduled
+    maxLeadDays: parseInt(process.env.TRAVEL_MAX_LEAD_DAYS || '180')
+};
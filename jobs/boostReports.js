@@ -0,0 +1,23 @@
+// Writes post-boost reports for boosts that have ended. Run from cron, e.g. every 5 minutes:
+//   node jobs/boostReports.js
+const mongoose = require('mongoose');
+const BoostService = require('../services/BoostService');
+
+const run = async () => {
+    const boostService = new BoostService();
+    const reported = await boostService.finalizeEndedBoosts();
+    console.log(`[${new Date().toISOString()}] Reported ${reported} ended boost(s)`);
+    return reported;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Boost report run failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,26 @@
+// Keeps the precomputed compatibility index current. Run from cron, e.g. every 15 minutes:
+//   node jobs/compatibilityIndex.js
+// Rebuild from scratch (after changing weights or the engine version):
+//   node jobs/compatibilityIndex.js --rebuild
+const mongoose = require('mongoose');
+const CompatibilityIndexService = require('../services/CompatibilityIndexService');
+
+const run = async ({ rebuild = false } = {}) => {
+    const compatibilityIndexService = new CompatibilityIndexService();
+    const result = rebuild ? await compatibilityIndexService.rebuild() : await compatibilityIndexService.refresh();
+    console.log(`[${new Date().toISOString()}] ${rebuild ? 'Rebuilt' : 'Refreshed'} compatibility index: ` +
+        `${result.indexed} of ${result.checked} user(s) reindexed`);
+    return result;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(() => run({ rebuild: process.argv.includes('--rebuild') }))
+        .catch(error => {
+            console.error('Compatibility index run failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,28 @@
+// Records yesterday's (UTC) deck exposure metrics for the admin dashboard. Run from cron shortly after midnight UTC:
+//   node jobs/exposureMetrics.js
+// A specific day can be recomputed with --date=YYYY-MM-DD.
+const mongoose = require('mongoose');
+const ExposureService = require('../services/ExposureService');
+const { getDateKey } = require('../utils/helpers');
+
+const run = async ({ date } = {}) => {
+    const exposureService = new ExposureService();
+    const day = date || getDateKey('UTC', new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const metrics = await exposureService.computeDailyMetrics(day);
+    console.log(`[${new Date().toISOString()}] Exposure ${day}: ${metrics.impressions} impression(s) across ` +
+        `${metrics.profilesShown} of ${metrics.eligibleProfiles} profile(s), gini ${metrics.gini}`);
+    return metrics;
+};
+
+if (require.main === module) {
+    const dateArg = process.argv.find(arg => arg.startsWith('--date='));
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(() => run({ date: dateArg ? dateArg.split('=')[1] : undefined }))
+        .catch(error => {
+            console.error('Exposure metrics run failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,27 @@
+// Nudges quiet mutual matches and expires the ones nobody messaged in time. Run from cron, e.g. every 15 minutes:
+//   node jobs/matchExpiry.js
+// Chat must report messages through POST /internal/matches/:matchId/messages before this is
+// scheduled, otherwise every match looks unmessaged and expires.
+const mongoose = require('mongoose');
+const { MatchingService } = require('../services/MatchingService');
+
+const run = async () => {
+    const matchingService = new MatchingService();
+    const now = new Date();
+    const reminded = await matchingService.sendExpiryReminders(now);
+    const expired = await matchingService.expireMatches(now);
+    console.log(`[${now.toISOString()}] Sent ${reminded} expiry reminder(s), expired ${expired} match(es)`);
+    return { reminded, expired };
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Match expiry run failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
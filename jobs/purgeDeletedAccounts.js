@@ -0,0 +1,23 @@
+// Purges accounts whose deletion grace period has ended. Run from cron, e.g. hourly:
+//   node jobs/purgeDeletedAccounts.js
+const mongoose = require('mongoose');
+const AccountService = require('../services/AccountService');
+
+const run = async () => {
+    const accountService = new AccountService();
+    const purged = await accountService.purgeDueAccounts();
+    console.log(`[${new Date().toISOString()}] Purged ${purged} deleted account(s)`);
+    return purged;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Account purge failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
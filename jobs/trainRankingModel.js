@@ -0,0 +1,29 @@
+// Retrains the deck ranking model on like/pass history and activates it. Run from cron, e.g. nightly:
+//   node jobs/trainRankingModel.js
+const mongoose = require('mongoose');
+const RankingService = require('../services/RankingService');
+
+const run = async () => {
+    const rankingService = new RankingService();
+    const result = await rankingService.trainAndActivate();
+    const { k, precisionAtK, baselinePrecisionAtK, viewersEvaluated } = result.metrics;
+
+    console.log(`[${new Date().toISOString()}] Activated ranking model ${result.modelId} ` +
+        `(${result.model.samples} samples, precision@${k} ${formatPrecision(precisionAtK)} ` +
+        `vs ${formatPrecision(baselinePrecisionAtK)} compatibility-only over ${viewersEvaluated} viewers)`);
+    return result;
+};
+
+const formatPrecision = (value) => (value === null ? 'n/a' : value.toFixed(3));
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Ranking model training failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,24 @@
+// Starts scheduled trips and restores home locations when trips end. Run from cron, e.g. every 15 minutes:
+//   node jobs/travel.js
+const mongoose = require('mongoose');
+const TravelService = require('../services/TravelService');
+
+const run = async () => {
+    const travelService = new TravelService();
+    const result = await travelService.processTrips();
+    console.log(`[${new Date().toISOString()}] Started ${result.started} trip(s), ` +
+        `restored ${result.restored} home location(s), dropped ${result.lapsed} lapsed trip(s)`);
+    return result;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Travel run failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
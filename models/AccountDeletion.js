@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const accountDeletionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled', 'completed'],
+        default: 'scheduled'
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    scheduledFor: {
+        type: Date,
+        required: true
+    },
+    cancelledAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+accountDeletionSchema.index({ user: 1, status: 1 });
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('AccountDeletion', accountDeletionSchema);
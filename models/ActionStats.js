@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Per-user like/pass counts, snapshotted from Match history when the ranking model is trained.
+// Served from the snapshot so deck order doesn't shift with every swipe.
+const actionStatsSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    likesGiven: { type: Number, default: 0 },
+    actionsGiven: { type: Number, default: 0 },
+    likesReceived: { type: Number, default: 0 },
+    actionsReceived: { type: Number, default: 0 },
+    mutuals: { type: Number, default: 0 },
+    computedAt: Date
+});
+
+module.exports = mongoose.model('ActionStats', actionStatsSchema);
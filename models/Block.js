@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+    blocker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    blocked: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Report filed together with the block, if any
+    report: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SafetyReport'
+    }
+}, {
+    timestamps: true
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model('Block', blockSchema);
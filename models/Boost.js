@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const boostSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 'allowance': included in the plan; 'credit': a purchased or rewarded boostCredit
+    source: {
+        type: String,
+        enum: ['allowance', 'credit'],
+        required: true
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    // Deck cards served while the boost ran, and how many of those were lifted boost slots
+    impressions: {
+        type: Number,
+        default: 0
+    },
+    boostedImpressions: {
+        type: Number,
+        default: 0
+    },
+    // Filled in by jobs/boostReports.js once the boost has ended
+    report: {
+        views: Number,
+        extraViews: Number,
+        likes: Number,
+        expectedLikes: Number,
+        extraLikes: Number
+    },
+    reportedAt: Date
+}, {
+    timestamps: true
+});
+
+boostSchema.index({ user: 1, startsAt: -1 });
+boostSchema.index({ endsAt: 1, reportedAt: 1 });
+
+module.exports = mongoose.model('Boost', boostSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const campaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    description: String,
+    // signup: granted automatically at registration; promo_code: redeemed with `code`
+    trigger: {
+        type: String,
+        enum: ['signup', 'promo_code'],
+        required: true
+    },
+    code: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    grant: {
+        plan: {
+            type: String,
+            enum: ['premium', 'premium_plus'],
+            default: 'premium'
+        },
+        durationDays: {
+            type: Number,
+            required: true,
+            min: 1
+        }
+    },
+    // null means unlimited
+    cap: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    allocated: {
+        type: Number,
+        default: 0
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    endsAt: {
+        type: Date,
+        default: null
+    },
+    // Higher priority signup campaigns are tried first
+    priority: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'ended'],
+        default: 'active'
+    },
+    // Grants from this campaign mark the user as a founding member (isFirstThousand)
+    foundingMember: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+campaignSchema.index({ trigger: 1, status: 1, priority: -1 });
+campaignSchema.index({ code: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Campaign', campaignSchema);
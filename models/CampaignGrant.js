@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const campaignGrantSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    plan: String,
+    expiresAt: Date
+}, {
+    timestamps: true
+});
+
+campaignGrantSchema.index({ campaign: 1, user: 1 }, { unique: true });
+campaignGrantSchema.index({ user: 1 });
+
+module.exports = mongoose.model('CampaignGrant', campaignGrantSchema);
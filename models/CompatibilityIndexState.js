@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Tracks when a user's rows in the compatibility index were last built and from which profile
+const compatibilityIndexStateSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // Hash of the fields the engine scores on; a mismatch means the rows are out of date
+    profileHash: String,
+    stale: {
+        type: Boolean,
+        default: false
+    },
+    pairs: {
+        type: Number,
+        default: 0
+    },
+    indexedAt: Date
+}, {
+    timestamps: true
+});
+
+compatibilityIndexStateSchema.index({ stale: 1 });
+compatibilityIndexStateSchema.index({ indexedAt: 1 });
+
+module.exports = mongoose.model('CompatibilityIndexState', compatibilityIndexStateSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Precomputed compatibility of `candidate` from `user`'s point of view. Scores are
+// directional because the distance component uses the viewer's max distance.
+const compatibilityScoreSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    candidate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    veto: {
+        type: Boolean,
+        default: false
+    },
+    distanceMiles: Number,
+    // Engine config version the score was computed with
+    version: Number,
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+compatibilityScoreSchema.index({ user: 1, candidate: 1 }, { unique: true });
+compatibilityScoreSchema.index({ candidate: 1 });
+compatibilityScoreSchema.index({ version: 1 });
+
+module.exports = mongoose.model('CompatibilityScore', compatibilityScoreSchema);
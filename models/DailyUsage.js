@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per user per day; holds counters for tier limits
+const dailyUsageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // YYYY-MM-DD in the user's time zone
+    date: {
+        type: String,
+        required: true
+    },
+    // Profiles shown in the discover deck today, so re-fetching a page isn't counted twice
+    deckServed: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    likes: {
+        type: Number,
+        default: 0
+    },
+    superLikes: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+dailyUsageSchema.index({ user: 1, date: 1 }, { unique: true });
+dailyUsageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DailyUsage', dailyUsageSchema);
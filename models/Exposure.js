@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Deck impressions a profile received on one UTC day
+const exposureSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // YYYY-MM-DD, UTC
+    date: {
+        type: String,
+        required: true
+    },
+    impressions: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+exposureSchema.index({ user: 1, date: 1 }, { unique: true });
+exposureSchema.index({ date: 1, impressions: 1 });
+exposureSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Exposure', exposureSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Daily summary of how evenly deck impressions were spread, for the admin dashboard
+const exposureMetricsSchema = new mongoose.Schema({
+    // YYYY-MM-DD, UTC
+    date: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    eligibleProfiles: Number,
+    profilesShown: Number,
+    impressions: Number,
+    // 0 = every eligible profile shown equally often, 1 = one profile got every impression
+    gini: Number,
+    // Share of impressions that went to the most-shown 1% and 10% of eligible profiles
+    top1PercentShare: Number,
+    top10PercentShare: Number,
+    computedAt: Date
+});
+
+module.exports = mongoose.model('ExposureMetrics', exposureMetricsSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+    email: String,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ipAddress: String,
+    userAgent: String,
+    method: {
+        type: String,
+        enum: ['password', '2fa', 'passkey'],
+        default: 'password'
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['success', 'invalid_credentials', 'invalid_2fa', 'banned', 'throttled', 'locked']
+    }
+}, {
+    timestamps: true
+});
+
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
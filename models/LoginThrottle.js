@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+    // "account:<email>" or "ip:<address>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    windowStartedAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
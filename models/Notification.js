@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['super_like', 'match_expiring', 'match_expired', 'boost_report'],
+        required: true
+    },
+    // Who triggered it, e.g. the person who sent the super-like
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    match: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Match'
+    },
+    boost: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Boost'
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
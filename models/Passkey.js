@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const passkeySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // base64url credential id as reported by the authenticator
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    publicKey: {
+        type: Buffer,
+        required: true
+    },
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: [String],
+    deviceType: {
+        type: String,
+        enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: Boolean,
+    name: {
+        type: String,
+        default: 'Passkey',
+        maxlength: 50
+    },
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+passkeySchema.index({ user: 1 });
+
+module.exports = mongoose.model('Passkey', passkeySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const phoneVerificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    phoneNumber: {
+        type: String,
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    codeSalt: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    verifiedAt: Date
+}, {
+    timestamps: true
+});
+
+phoneVerificationSchema.index({ user: 1, createdAt: -1 });
+phoneVerificationSchema.index({ phoneNumber: 1, createdAt: -1 });
+phoneVerificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneVerification', phoneVerificationSchema);
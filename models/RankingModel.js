@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Logistic regression weights trained offline on like/pass history
+const rankingModelSchema = new mongoose.Schema({
+    features: [String],
+    weights: [Number],
+    bias: Number,
+    // Prior that sparse per-user like rates are shrunk towards
+    globalLikeRate: Number,
+    samples: Number,
+    metrics: {
+        k: Number,
+        precisionAtK: Number,
+        baselinePrecisionAtK: Number,
+        viewersEvaluated: Number
+    },
+    active: {
+        type: Boolean,
+        default: false
+    },
+    trainedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+rankingModelSchema.index({ active: 1, trainedAt: -1 });
+
+module.exports = mongoose.model('RankingModel', rankingModelSchema);
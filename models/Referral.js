@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const rewardSchema = {
+    premiumDays: Number,
+    boosts: Number
+};
+
+const referralSchema = new mongoose.Schema({
+    referrer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    referred: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'rewarded', 'rejected'],
+        default: 'pending'
+    },
+    rejectionReason: {
+        type: String,
+        // same_network: the referrer has signed in from the same /24 (or /64); duplicate_network:
+        // the referrer already has a referral from this address, or too many from this subnet
+        enum: ['self_referral', 'duplicate_device', 'same_network', 'duplicate_network', 'reward_limit']
+    },
+    deviceId: String,
+    ipAddress: String,
+    subnet: String,
+    qualifiedBy: {
+        type: String,
+        enum: ['email_verified', 'payment']
+    },
+    rewardedAt: Date,
+    referrerReward: rewardSchema,
+    referredReward: rewardSchema
+}, {
+    timestamps: true
+});
+
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ referrer: 1, deviceId: 1 });
+referralSchema.index({ referrer: 1, ipAddress: 1 });
+referralSchema.index({ referrer: 1, subnet: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    userAgent: String,
+    ipAddress: String,
+    // Client-generated install id (X-Device-Id header)
+    deviceId: String,
+    twoFactorVerified: {
+        type: Boolean,
+        default: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'token_reuse', 'user_revoked', 'password_change', 'password_reset']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are purged by MongoDB once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
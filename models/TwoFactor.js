@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const twoFactorSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    // TOTP seed, encrypted with encryptSecret
+    secret: {
+        type: String,
+        required: true
+    },
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    enabledAt: Date,
+    // Last accepted TOTP time step, so a code can't be replayed within its window
+    lastUsedStep: Number,
+    recoveryCodes: [{
+        codeHash: String,
+        usedAt: Date
+    }]
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactor', twoFactorSchema);
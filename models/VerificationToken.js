@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const verificationTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['email_verification', 'password_reset']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    invalidatedAt: Date
+}, {
+    timestamps: true
+});
+
+verificationTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+// Keep spent tokens around for a week so resend throttling can count them
+verificationTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('VerificationToken', verificationTokenSchema);
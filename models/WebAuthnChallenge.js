@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+    // Unset for passkey logins, where we don't know the user until the assertion is verified
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    challenge: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
@@ -0,0 +1,77 @@
+const express = require('express');
+const User = require('../models/User');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, rateLimiter } = require('../middleware/auth');
+const AccountService = require('../services/AccountService');
+const router = express.Router();
+
+const accountService = new AccountService();
+
+// Download everything we hold about the user as JSON
+router.get('/export', authenticateToken, rateLimiter(5, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const archive = await accountService.exportData(req.user._id);
+
+    res.attachment(`soulmate-connect-export-${new Date().toISOString().split('T')[0]}.json`);
+    res.json(archive);
+  } catch (error) {
+    res.status(500).json({ message: 'Error exporting data', error: error.message });
+  }
+});
+
+// Schedule account deletion after the grace period
+router.post('/delete', authenticateToken, [
+  body('password').exists(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const deletion = await accountService.requestDeletion(user, req.body.reason, req.authSession._id);
+
+    res.json({
+      message: 'Account scheduled for deletion',
+      scheduledFor: deletion.scheduledFor
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error scheduling deletion', error: error.message });
+  }
+});
+
+// Pending deletion status
+router.get('/delete', authenticateToken, async (req, res) => {
+  try {
+    const deletion = await accountService.getPendingDeletion(req.user._id);
+    res.json({
+      scheduled: !!deletion,
+      scheduledFor: deletion ? deletion.scheduledFor : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Keep the account during the grace period
+router.post('/delete/cancel', authenticateToken, async (req, res) => {
+  try {
+    const deletion = await accountService.cancelDeletion(req.user);
+    if (!deletion) {
+      return res.status(404).json({ message: 'No pending deletion' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,93 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const SessionService = require('../services/SessionService');
+const EmailVerificationService = require('../services/EmailVerificationService');
+const PhoneVerificationService = require('../services/PhoneVerificationService');
+const PasswordService = require('../services/PasswordService');
+const TwoFactorService = require('../services/TwoFactorService');
+const { LoginThrottleService } = require('../services/LoginThrottleService');
+const ReferralService = require('../services/ReferralService');
+const CampaignService = require('../services/CampaignService');
+const PasskeyService = require('../services/PasskeyService');
+const ProfileService = require('../services/ProfileService');
+const { validatePassword } = require('../utils/validation');
+const { logError, pseudonymize, toGeoPoint, isValidTimeZone } = require('../utils/helpers');
 const router = express.Router();
 
+const sessionService = new SessionService();
+const emailVerificationService = new EmailVerificationService();
+const phoneVerificationService = new PhoneVerificationService();
+const passwordService = new PasswordService();
+const twoFactorService = new TwoFactorService();
+const loginThrottleService = new LoginThrottleService();
+const referralService = new ReferralService();
+const campaignService = new CampaignService();
+const passkeyService = new PasskeyService();
+const profileService = new ProfileService();
+
+// Issues tokens once every login step has passed. `reservation` is the throttle
+// reservation of the step that just passed, if it took one.
+const completeLogin = async (user, req, res, { twoFactorVerified, method = 'password', reservation = null }) => {
+  await loginThrottleService.recordSuccess(user.email, reservation);
+  await loginThrottleService.recordAttempt({ email: user.email, user: user._id, req, method, success: true, reason: 'success' });
+
+  user.lastActive = new Date();
+  await user.save();
+
+  const { accessToken, refreshToken } = await sessionService.createSession(user, req, { twoFactorVerified });
+
+  res.json({
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      subscription: user.subscription,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      profileComplete: !!(user.photos.length && user.personalityTraits)
+    },
+    // Admins without 2FA can sign in but must enroll before using admin routes
+    twoFactorSetupRequired: !twoFactorVerified && twoFactorService.isMandatory(user)
+  });
+};
+
+const rejectThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: 'Too many login attempts, please try again later',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Enforces the same strength rules everywhere a password is set
+const strongPassword = (field) => body(field).isString().custom(value => {
+  const result = validatePassword(value);
+  if (!result.isValid) {
+    throw new Error(result.errors.join(', '));
+  }
+  return true;
+});
+
 // Register
 router.post('/register', [
   body('firstName').trim().isLength({ min: 2 }).escape(),
   body('lastName').trim().isLength({ min: 2 }).escape(),
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }),
+  strongPassword('password'),
   body('dateOfBirth').isISO8601(),
-  body('gender').isIn(['male', 'female', 'non-binary'])
+  body('gender').isIn(['male', 'female', 'non-binary']),
+  body('lookingFor').optional().isIn(['men', 'women', 'everyone']),
+  body('timezone').optional().custom(isValidTimeZone),
+  // Catalog answers and partner preferences (config/preferenceCatalog.js)
+  body('attributes').optional().custom(value => profileService.validateAttributes(value)),
+  body('partnerPreferences').optional().custom(value => profileService.validatePartnerPreferences(value)),
+  body('referralCode').optional().isString().trim().isLength({ max: 16 }),
+  body('promoCode').optional().isString().trim().isLength({ max: 32 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,7 +95,8 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, password, dateOfBirth, gender, location, referredBy } = req.body;
+    const { firstName, lastName, email, password, dateOfBirth, gender, lookingFor, timezone, location, referralCode, promoCode } = req.body;
+    const { attributes, partnerPreferences } = profileService.toNewProfile(req.body);
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -27,19 +104,30 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    // Banned accounts keep only a hash of their email after deletion. Without the secret
+    // that check can't run, so registration is closed rather than letting them back in.
+    if (!process.env.PSEUDONYM_SECRET) {
+      logError(new Error('PSEUDONYM_SECRET is not set'), { context: 'register' });
+      return res.status(503).json({ message: 'Registration is temporarily unavailable' });
+    }
+
+    const bannedAccount = await User.findOne({ bannedEmailHash: pseudonymize(email) }).select('_id');
+    if (bannedAccount) {
+      return res.status(403).json({ message: 'Account suspended for safety violations' });
+    }
+
     // Age verification (must be 18+)
     const age = Math.floor((new Date() - new Date(dateOfBirth)) / (365.25 * 24 * 60 * 60 * 1000));
     if (age < 18) {
       return res.status(400).json({ message: 'Must be 18 or older to register' });
     }
 
-    // First 1000 users get premium
-    const userCount = await User.countDocuments();
+    // Premium grants (e.g. founding members) come from campaigns after the account exists
     const subscription = {
-      plan: userCount < 1000 ? 'premium' : 'free',
+      plan: 'free',
       status: 'active',
       startDate: new Date(),
-      endDate: userCount < 1000 ? new Date(Date.now() + 365 * 24 * 60 * 60 * 1000) : null
+      endDate: null
     };
 
     const user = new User({
@@ -49,30 +137,43 @@ router.post('/register', [
       password,
       dateOfBirth,
       gender,
-      location,
-      subscription,
-      referredBy
+      lookingFor,
+      timezone,
+      location: toGeoPoint(location),
+      attributes,
+      partnerPreferences,
+      subscription
     });
 
     await user.save();
 
-    // Update referrer count
-    if (referredBy) {
-      await User.findByIdAndUpdate(referredBy, { $inc: { referralCount: 1 } });
+    const signupGrant = await campaignService.allocateSignupGrant(user._id);
+    const promoResult = promoCode ? await campaignService.redeemCode(user._id, promoCode) : null;
+    const { subscription: grantedSubscription } = await User.findById(user._id).select('subscription');
+
+    // Referrer is credited later, once this account qualifies
+    if (referralCode) {
+      await referralService.recordSignup(user, referralCode, req);
     }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // A mail outage shouldn't block signup; the user can request a resend
+    emailVerificationService.sendVerification(user)
+      .catch(error => logError(error, { context: 'register_verification_email', userId: user._id }));
+
+    const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(201).json({
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
-        subscription: user.subscription,
-        isFirstThousand: userCount < 1000
-      }
+        subscription: grantedSubscription,
+        isFirstThousand: !!(signupGrant && signupGrant.campaign.foundingMember)
+      },
+      promoCodeApplied: promoResult ? promoResult.success : undefined
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -92,37 +193,350 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    const throttle = await loginThrottleService.reserve(email, req.ip);
+    if (!throttle.allowed) {
+      await loginThrottleService.recordAttempt({ email, req, success: false, reason: throttle.reason });
+      return rejectThrottled(res, throttle);
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
+      await loginThrottleService.recordFailure(throttle);
+      await loginThrottleService.recordAttempt({ email, req, success: false, reason: 'invalid_credentials' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     if (user.isBanned) {
+      await loginThrottleService.release(throttle);
+      await loginThrottleService.recordAttempt({ email, user: user._id, req, success: false, reason: 'banned' });
       return res.status(403).json({ message: 'Account suspended for safety violations' });
     }
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await loginThrottleService.recordFailure(throttle);
+      await loginThrottleService.recordAttempt({ email, user: user._id, req, success: false, reason: 'invalid_credentials' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Update last active
-    user.lastActive = new Date();
-    await user.save();
+    // Second step required: hand back a short-lived challenge instead of tokens
+    if (await twoFactorService.isEnabled(user._id)) {
+      await loginThrottleService.release(throttle);
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(user, req, res, { twoFactorVerified: false, reservation: throttle });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Login step two: TOTP or recovery code
+router.post('/login/2fa', [
+  body('challengeToken').isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = twoFactorService.verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge expired, please log in again' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.isBanned) {
+      return res.status(403).json({ message: 'Account suspended for safety violations' });
+    }
+
+    // Code guesses count against the same account and IP budget as passwords
+    const throttle = await loginThrottleService.reserve(user.email, req.ip);
+    if (!throttle.allowed) {
+      await loginThrottleService.recordAttempt({ email: user.email, user: user._id, req, method: '2fa', success: false, reason: throttle.reason });
+      return rejectThrottled(res, throttle);
+    }
+
+    const verified = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!verified) {
+      await loginThrottleService.recordFailure(throttle);
+      await loginThrottleService.recordAttempt({ email: user.email, user: user._id, req, method: '2fa', success: false, reason: 'invalid_2fa' });
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    await completeLogin(user, req, res, { twoFactorVerified: true, method: '2fa', reservation: throttle });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start TOTP enrollment
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(enrollment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm enrollment with a first code; returns recovery codes once
+router.post('/2fa/confirm', authenticateToken, [
+  body('code').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    // The code just proved possession of the second factor for this session
+    await sessionService.markTwoFactorVerified(req.authSession._id);
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        subscription: user.subscription,
-        isEmailVerified: user.isEmailVerified,
-        isPhoneVerified: user.isPhoneVerified,
-        profileComplete: !!(user.photos.length && user.personalityTraits)
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Two-factor status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user._id);
+    res.json({ ...status, required: twoFactorService.isMandatory(req.user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Replace recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Turn off two-factor authentication
+router.post('/2fa/disable', authenticateToken, [
+  body('password').exists(),
+  body('code').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (twoFactorService.isMandatory(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const disabled = await twoFactorService.disable(user._id, req.body.code);
+    if (!disabled) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await sessionService.rotateRefreshToken(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(tokens.session.user).select('isBanned');
+    if (!user || user.isBanned) {
+      await sessionService.revokeSession(tokens.session._id, 'user_revoked');
+      return res.status(403).json({ message: 'Account suspended for safety violations' });
+    }
+
+    res.json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm email address from the emailed link
+router.post('/verify-email', [
+  body('token').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await emailVerificationService.confirm(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    res.json({ message: 'Email verified', isEmailVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Resend the verification email
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const result = await emailVerificationService.sendVerification(req.user);
+
+    if (result.reason === 'already_verified') {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+    if (result.reason === 'throttled') {
+      return res.status(429).json({ message: 'Please wait before requesting another email', retryAfter: result.retryAfter });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Send a one-time code to a phone number
+router.post('/phone/start', authenticateToken, [
+  body('phoneNumber').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await phoneVerificationService.start(req.user, req.body.phoneNumber);
+
+    if (result.reason === 'throttled') {
+      return res.status(429).json({ message: 'Please wait before requesting another code', retryAfter: result.retryAfter });
+    }
+    if (!result.success) {
+      return res.status(400).json({ message: result.reason === 'phone_number_in_use' ? 'Phone number already in use' : 'Invalid phone number' });
+    }
+
+    res.json({ message: 'Verification code sent', phoneNumber: result.phoneNumber, expiresIn: result.expiresIn });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm the one-time code
+router.post('/phone/confirm', authenticateToken, [
+  body('code').isString().isLength({ min: 6, max: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await phoneVerificationService.confirm(req.user, req.body.code);
+
+    if (result.reason === 'too_many_attempts') {
+      return res.status(429).json({ message: 'Too many attempts, request a new code' });
+    }
+    if (!result.success) {
+      return res.status(400).json({
+        message: result.reason === 'invalid_code' ? 'Invalid code' : 'No pending verification, request a new code',
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    res.json({ message: 'Phone number verified', isPhoneVerified: true, phoneNumber: result.phoneNumber });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Passkey registration: step one, get creation options
+router.post('/passkeys/register/options', authenticateToken, async (req, res) => {
+  try {
+    const result = await passkeyService.registrationOptions(req.user);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Passkey registration: step two, verify the attestation
+router.post('/passkeys/register/verify', authenticateToken, [
+  body('challengeId').isString(),
+  body('response').isObject(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 50 }).escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeId, response, name } = req.body;
+    const result = await passkeyService.verifyRegistration(req.user, challengeId, response, name);
+    if (!result.success) {
+      return res.status(400).json({ message: 'Passkey registration failed', reason: result.reason });
+    }
+
+    res.status(201).json({
+      passkey: {
+        id: result.passkey._id,
+        name: result.passkey.name,
+        createdAt: result.passkey.createdAt
       }
     });
   } catch (error) {
@@ -130,4 +544,225 @@ router.post('/login', [
   }
 });
 
+// Passkey login: step one, get request options
+router.post('/passkeys/login/options', [
+  body('email').optional().isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await passkeyService.authenticationOptions(req.body.email);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Passkey login: step two, verify the assertion and issue the same tokens as /login
+router.post('/passkeys/login/verify', [
+  body('challengeId').isString(),
+  body('response').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await passkeyService.verifyAuthentication(req.body.challengeId, req.body.response);
+    if (!result.success) {
+      await loginThrottleService.recordAttempt({ req, method: 'passkey', success: false, reason: 'invalid_credentials' });
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const user = await User.findById(result.userId);
+    if (!user || user.isBanned) {
+      return res.status(403).json({ message: 'Account suspended for safety violations' });
+    }
+
+    // Without user verification the passkey is a single factor, so TOTP still applies
+    if (!result.userVerified && await twoFactorService.isEnabled(user._id)) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user._id)
+      });
+    }
+
+    await completeLogin(user, req, res, { twoFactorVerified: result.userVerified, method: 'passkey' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List passkeys
+router.get('/passkeys', authenticateToken, async (req, res) => {
+  try {
+    const passkeys = await passkeyService.listPasskeys(req.user._id);
+    res.json({ passkeys });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename a passkey
+router.patch('/passkeys/:passkeyId', authenticateToken, [
+  body('name').isString().trim().isLength({ min: 1, max: 50 }).escape()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const passkey = await passkeyService.renamePasskey(req.user._id, req.params.passkeyId, req.body.name);
+    if (!passkey) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+
+    res.json({ passkey });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a passkey
+router.delete('/passkeys/:passkeyId', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await passkeyService.deletePasskey(req.user._id, req.params.passkeyId);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Passkey not found' });
+    }
+
+    res.json({ message: 'Passkey removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Not awaited so response time doesn't reveal whether the account exists
+    passwordService.requestReset(req.body.email)
+      .catch(error => logError(error, { context: 'forgot_password' }));
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Set a new password using a reset link
+router.post('/reset-password', [
+  body('token').isString(),
+  strongPassword('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await passwordService.resetPassword(req.body.token, req.body.password);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    res.json({ message: 'Password reset, please log in again' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change password while logged in
+router.post('/change-password', authenticateToken, [
+  body('currentPassword').exists(),
+  strongPassword('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different' });
+    }
+
+    const result = await passwordService.changePassword(req.user._id, currentPassword, newPassword, req.authSession._id);
+    if (!result.success) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    res.json({ message: 'Password changed, other devices have been signed out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout from the current device
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.authSession._id, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout from every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out from all devices', revoked });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.sessionId, 'user_revoked', req.user._id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
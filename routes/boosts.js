@@ -0,0 +1,71 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken: auth } = require('../middleware/auth');
+const BoostService = require('../services/BoostService');
+const boostsConfig = require('../config/boosts');
+const router = express.Router();
+
+const boostService = new BoostService();
+
+// Active boost, allowance and credits left, and recent boosts with their reports
+router.get('/', auth, async (req, res) => {
+  try {
+    const [status, boosts] = await Promise.all([
+      boostService.getStatus(req.user),
+      boostService.listBoosts(req.user._id)
+    ]);
+    res.json({ ...status, boosts });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching boosts', error: error.message });
+  }
+});
+
+// Start a boost now
+router.post('/', auth, async (req, res) => {
+  try {
+    const result = await boostService.activate(req.user);
+    if (!result.success) {
+      if (result.reason === 'already_active') {
+        return res.status(409).json({ message: 'A boost is already running' });
+      }
+      return res.status(402).json({ message: 'No boosts left', purchaseUrl: '/boosts/purchase' });
+    }
+
+    res.status(201).json({ message: 'Boost started', boost: boostService.summarize(result.boost) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error starting boost', error: error.message });
+  }
+});
+
+// One-time purchase; credits are added by the Stripe webhook once payment succeeds
+router.post('/purchase', auth, [
+  body('quantity').optional().isInt({ min: 1, max: boostsConfig.maxPurchaseQuantity }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const purchase = await boostService.createPurchase(req.user, req.body.quantity || 1);
+    res.json(purchase);
+  } catch (error) {
+    res.status(500).json({ message: 'Payment failed', error: error.message });
+  }
+});
+
+// Post-boost report (null until the boost has ended and been reported)
+router.get('/:boostId', auth, async (req, res) => {
+  try {
+    const boost = await boostService.getBoost(req.user._id, req.params.boostId);
+    if (!boost) {
+      return res.status(404).json({ message: 'Boost not found' });
+    }
+
+    res.json(boost);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
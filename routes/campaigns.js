@@ -0,0 +1,39 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const CampaignService = require('../services/CampaignService');
+const router = express.Router();
+
+const campaignService = new CampaignService();
+
+// Redeem a promo code
+router.post('/redeem', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await campaignService.redeemCode(req.user._id, req.body.code);
+    if (!result.success) {
+      const messages = {
+        invalid_code: 'Invalid promo code',
+        already_redeemed: 'Promo code already redeemed',
+        campaign_unavailable: 'This promotion has ended'
+      };
+      return res.status(400).json({ message: messages[result.reason] });
+    }
+
+    res.json({
+      message: 'Promo code applied',
+      plan: result.grant.plan,
+      expiresAt: result.grant.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,59 @@
 const express = require('express');
 const User = require('../models/User');
 const Match = require('../models/Match');
-const MatchingService = require('../services/MatchingService');
-const auth = require('../middleware/auth');
+const { MatchingService } = require('../services/MatchingService');
+const DeckService = require('../services/DeckService');
+const BlockService = require('../services/BlockService');
+const QuotaService = require('../services/QuotaService');
+const { compatibilityEngine } = require('../services/CompatibilityEngine');
+const { authenticateToken: auth, requireVerifiedEmail, requireEntitlement, requireServiceToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Get potential matches
+const matchingService = new MatchingService();
+const deckService = new DeckService();
+const blockService = new BlockService();
+const quotaService = new QuotaService();
+
+const ACTIONS = ['like', 'pass', 'super_like'];
+
+const likesInboxAccess = (user) => quotaService.getLimits(user).likesInbox;
+
+const rejectAction = async (req, res, reason) => {
+  if (reason === 'self_action') {
+    return res.status(400).json({ message: 'Cannot action yourself' });
+  }
+  if (reason === 'quota_exceeded') {
+    return res.status(429).json({ message: 'Daily limit reached', quota: await quotaService.getStatus(req.user) });
+  }
+  return res.status(404).json({ message: 'User not found' });
+};
+
+const actionResponse = ({ match, isMutual }) => ({
+  match: isMutual,
+  matchId: match._id,
+  expiresAt: isMutual ? match.expiresAt : undefined,
+  message: isMutual ? "It's a match! 💕" : "Action recorded"
+});
+
+// Discovery deck, paged with ?cursor= from the previous response's nextCursor
 router.get('/discover', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
-    const matches = await MatchingService.findPotentialMatches(user);
-    
+    const deck = await deckService.getDeck(req.user, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    if (!deck.success) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
     res.json({
-      matches,
-      compatibilityOdds: user.aiInsights?.compatibilityOdds || "Calculating your perfect match odds...",
-      dailyMatches: matches.length
+      matches: deck.profiles,
+      nextCursor: deck.nextCursor,
+      dailyLimit: deck.dailyLimit,
+      remainingToday: deck.remainingToday,
+      resetsAt: deck.resetsAt,
+      compatibilityOdds: req.user.aiInsights?.compatibilityOdds || "Calculating your perfect match odds..."
     });
   } catch (error) {
     res.status(500).json({ message: 'Error finding matches', error: error.message });
@@ -22,62 +61,100 @@ router.get('/discover', auth, async (req, res) => {
 });
 
 // Like/Pass on a user
-router.post('/action', auth, async (req, res) => {
+router.post('/action', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const { targetUserId, action } = req.body; // action: 'like', 'pass', 'super_like'
-    const userId = req.userId;
 
-    if (userId === targetUserId) {
-      return res.status(400).json({ message: 'Cannot action yourself' });
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({ message: 'Invalid action' });
     }
 
-    // Find or create match
-    let match = await Match.findOne({
-      $or: [
-        { user1: userId, user2: targetUserId },
-        { user1: targetUserId, user2: userId }
-      ]
-    });
-
-    if (!match) {
-      const compatibilityScore = await MatchingService.calculateCompatibility(userId, targetUserId);
-      match = new Match({
-        user1: userId,
-        user2: targetUserId,
-        compatibilityScore,
-        matchType: compatibilityScore >= 90 ? 'perfect' : 
-                  compatibilityScore >= 80 ? 'excellent' :
-                  compatibilityScore >= 70 ? 'good' : 'potential'
-      });
+    const result = await matchingService.recordAction(req.user, targetUserId, action);
+    if (!result.success) {
+      return rejectAction(req, res, result.reason);
     }
 
-    // Update user action
-    if (match.user1.toString() === userId) {
-      match.user1Action = action;
-    } else {
-      match.user2Action = action;
-    }
+    res.json(actionResponse(result));
+  } catch (error) {
+    res.status(500).json({ message: 'Error processing action', error: error.message });
+  }
+});
+
+// Remaining likes and super-likes today
+router.get('/action/quota', auth, async (req, res) => {
+  try {
+    const quota = await quotaService.getStatus(req.user);
+    res.json(quota);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    // Check for mutual match
-    if (match.user1Action === 'like' && match.user2Action === 'like') {
-      match.status = 'mutual';
-    } else if (action === 'pass') {
-      match.status = 'rejected';
+// Undo the last like or pass
+router.post('/action/rewind', auth, requireEntitlement('rewind'), async (req, res) => {
+  try {
+    const result = await matchingService.rewindLastAction(req.user);
+    if (!result.success) {
+      const messages = {
+        nothing_to_rewind: 'Nothing to rewind',
+        not_rewindable: 'Super likes cannot be rewound',
+        already_answered: 'They have already responded'
+      };
+      return res.status(result.reason === 'nothing_to_rewind' ? 404 : 409).json({ message: messages[result.reason] });
     }
 
-    await match.save();
+    res.json({
+      message: 'Action rewound',
+      action: result.action,
+      targetUserId: result.targetUserId
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error rewinding action', error: error.message });
+  }
+});
+
+// People who liked me and I haven't acted on yet. Free plans get counts and anonymous cards.
+router.get('/likes/received', auth, async (req, res) => {
+  try {
+    const access = likesInboxAccess(req.user);
+    const inbox = await matchingService.getReceivedLikes(req.user._id, {
+      limit: req.query.limit,
+      countOnly: access === 'count'
+    });
 
-    // If mutual match, trigger AI analysis
-    if (match.status === 'mutual') {
-      match.aiAnalysis = await MatchingService.generateMatchAnalysis(userId, targetUserId);
-      await match.save();
+    if (access === 'full') {
+      return res.json(inbox);
     }
 
     res.json({
-      match: match.status === 'mutual',
-      matchId: match._id,
-      message: match.status === 'mutual' ? "It's a match! 💕" : "Action recorded"
+      total: inbox.total,
+      superLikes: inbox.superLikes,
+      likes: access === 'blurred' ? inbox.likes.map(like => ({ superLike: like.superLike, receivedAt: like.receivedAt })) : [],
+      upgradeUrl: '/premium'
     });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching likes', error: error.message });
+  }
+});
+
+// Like back straight from the inbox
+router.post('/likes/received/:userId/like-back', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    if (likesInboxAccess(req.user) !== 'full') {
+      return res.status(402).json({ message: 'Premium subscription required', upgradeUrl: '/premium' });
+    }
+
+    const like = await matchingService.findReceivedLike(req.user._id, req.params.userId);
+    if (!like) {
+      return res.status(404).json({ message: 'Like not found' });
+    }
+
+    const result = await matchingService.recordAction(req.user, req.params.userId, 'like');
+    if (!result.success) {
+      return rejectAction(req, res, result.reason);
+    }
+
+    res.json(actionResponse(result));
   } catch (error) {
     res.status(500).json({ message: 'Error processing action', error: error.message });
   }
@@ -86,17 +163,106 @@ router.post('/action', auth, async (req, res) => {
 // Get user's matches
 router.get('/matches', auth, async (req, res) => {
   try {
+    const blockedIds = await blockService.getBlockedUserIds(req.user._id);
     const matches = await Match.find({
       $or: [{ user1: req.userId }, { user2: req.userId }],
+      user1: { $nin: blockedIds },
+      user2: { $nin: blockedIds },
       status: 'mutual'
-    }).populate('user1 user2', 'firstName photos location personalityType');
-
-    res.json(matches);
+    })
+      .select('-aiAnalysis')
+      .populate('user1 user2', 'firstName photos location personalityType')
+      .lean();
+
+    // Scores are shown banded, like everywhere else users see them
+    res.json(matches.map(match => {
+      const compatibilityScore = compatibilityEngine.shareableScore(match.compatibilityScore);
+      return {
+        ...match,
+        compatibilityScore,
+        matchType: compatibilityScore == null ? match.matchType : compatibilityEngine.matchType(compatibilityScore)
+      };
+    }));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching matches', error: error.message });
   }
 });
 
+// Why we paired you: per-component scores, shared interests and values, deal-breakers checked
+router.get('/matches/:matchId/explain', auth, async (req, res) => {
+  try {
+    const explanation = await matchingService.explainMatch(req.params.matchId, req.user._id);
+    if (!explanation) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json(explanation);
+  } catch (error) {
+    res.status(500).json({ message: 'Error explaining match', error: error.message });
+  }
+});
+
+// Expired and unmatched matches
+router.get('/matches/history', auth, async (req, res) => {
+  try {
+    const history = await matchingService.getMatchHistory(req.user._id);
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching match history', error: error.message });
+  }
+});
+
+// Give a match nobody has messaged yet more time before it expires
+router.post('/matches/:matchId/extend', auth, requireEntitlement('extendMatch'), async (req, res) => {
+  try {
+    const result = await matchingService.extendMatch(req.user._id, req.params.matchId);
+    if (!result.success) {
+      if (result.reason === 'extension_limit') {
+        return res.status(409).json({ message: 'This match has already been extended' });
+      }
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({ message: 'Match extended', matchId: result.match._id, expiresAt: result.match.expiresAt });
+  } catch (error) {
+    res.status(500).json({ message: 'Error extending match', error: error.message });
+  }
+});
+
+// Internal: the chat service calls this for every message it stores, so matches with a
+// conversation never expire. Not for clients, who could otherwise stop the clock without talking.
+router.post('/internal/matches/:matchId/messages', requireServiceToken, async (req, res) => {
+  try {
+    const { senderId } = req.body;
+    if (!/^[a-f\d]{24}$/i.test(String(senderId))) {
+      return res.status(400).json({ message: 'senderId is required' });
+    }
+
+    const match = await matchingService.recordMessage(req.params.matchId, senderId);
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({ message: 'Message recorded', matchId: match._id, firstMessageAt: match.firstMessageAt });
+  } catch (error) {
+    res.status(500).json({ message: 'Error recording message', error: error.message });
+  }
+});
+
+// End a mutual match. Neither person shows up in the other's discover or matches again.
+router.post('/matches/:matchId/unmatch', auth, async (req, res) => {
+  try {
+    const match = await matchingService.unmatch(req.user._id, req.params.matchId);
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    res.json({ message: 'Unmatched', matchId: match._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Error unmatching', error: error.message });
+  }
+});
+
 module.exports = router;
 
 
@@ -106,67 +272,433 @@ const OpenAI = require('openai');
 const User = require('../models/User');
 const Match = require('../models/Match');
 const Revenue = require('../models/Revenue');
+const { compatibilityEngine } = require('./CompatibilityEngine');
+const QuotaService = require('./QuotaService');
+const NotificationService = require('./NotificationService');
+const BlockService = require('./BlockService');
+const matchesConfig = require('../config/matches');
+const { calculateAge } = require('../utils/helpers');
+
+// super_like counts as a like for mutual matching
+const LIKE_ACTIONS = ['like', 'super_like'];
+
+// Super-likes have already notified the other person, so they can't be taken back
+const REWINDABLE_ACTIONS = ['like', 'pass'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Mutual matches still waiting for a first message
+const AWAITING_FIRST_MESSAGE = { status: 'mutual', firstMessageAt: null };
 
 class MatchingService {
     constructor() {
         this.openai = new OpenAI({
             apiKey: process.env.OPENAI_API_KEY
         });
+        this.quotaService = new QuotaService();
+        this.notificationService = new NotificationService();
+        this.blockService = new BlockService();
     }
 
-    async calculateCompatibility(user1, user2) {
-        // Deep personality compatibility - 1 in 10,000 claim
-        const personalityScore = this.analyzePersonalityTraits(user1.personalityTraits, user2.personalityTraits);
-        const lifestyleScore = this.analyzeLifestyle(user1, user2);
-        const dealBreakerScore = this.checkDealBreakers(user1, user2);
-        
-        const compatibility = (personalityScore * 0.6 + lifestyleScore * 0.3 + dealBreakerScore * 0.1);
-        
-        // AI enhancement for premium users
-        if (user1.subscriptionTier !== 'free') {
-            const aiInsight = await this.getAICompatibilityInsight(user1, user2, compatibility);
-            return { compatibility, aiInsight };
+    // Numeric score plus per-component breakdown from the shared compatibility engine
+    calculateCompatibility(user1, user2) {
+        return compatibilityEngine.score(user1, user2);
+    }
+
+    // Stored on the match, which both people can read, so the breakdown stays out; each side
+    // gets their own view from explainMatch
+    async generateMatchAnalysis(user1, user2) {
+        const compatibility = this.calculateCompatibility(user1, user2);
+        const insight = await this.getAICompatibilityInsight(user1, user2, compatibility.score);
+
+        return {
+            compatibilityScore: compatibility.score,
+            insight,
+            generatedAt: new Date()
+        };
+    }
+
+    // Records a like, pass or super_like. Shared by /action and like-back from the likes inbox.
+    async recordAction(user, targetUserId, action) {
+        const userId = user._id.toString();
+        if (userId === String(targetUserId)) {
+            return { success: false, reason: 'self_action' };
         }
-        
-        return { compatibility, aiInsight: null };
+
+        const target = /^[a-f\d]{24}$/i.test(String(targetUserId)) && await User.findById(targetUserId);
+        if (!target || target.isBanned || target.isDeleted || await this.blockService.isBlocked(user._id, target._id)) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        let match = await Match.findOne({
+            $or: [
+                { user1: userId, user2: targetUserId },
+                { user1: targetUserId, user2: userId }
+            ]
+        });
+
+        // Unmatched and expired pairs stay apart
+        if (match && ['unmatched', 'expired'].includes(match.status)) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        if (!match) {
+            const { score } = this.calculateCompatibility(user, target);
+            match = new Match({
+                user1: userId,
+                user2: targetUserId,
+                compatibilityScore: score,
+                matchType: compatibilityEngine.matchType(score)
+            });
+        }
+
+        const isUser1 = match.user1.toString() === userId;
+        if ((isUser1 ? match.user1Action : match.user2Action) === action) {
+            return { success: true, match, isMutual: match.status === 'mutual' };
+        }
+
+        if (!(await this.quotaService.consume(user, action))) {
+            return { success: false, reason: 'quota_exceeded' };
+        }
+
+        if (isUser1) {
+            match.user1Action = action;
+        } else {
+            match.user2Action = action;
+        }
+
+        if (LIKE_ACTIONS.includes(match.user1Action) && LIKE_ACTIONS.includes(match.user2Action)) {
+            if (match.status !== 'mutual') {
+                match.matchedAt = new Date();
+                match.expiresAt = new Date(match.matchedAt.getTime() + matchesConfig.expiryHours * HOUR_MS);
+            }
+            match.status = 'mutual';
+        } else if (action === 'pass') {
+            match.status = 'rejected';
+        }
+
+        await match.save();
+        await User.updateOne({ _id: user._id }, { lastAction: { match: match._id, action, at: new Date() } });
+
+        if (action === 'super_like') {
+            await this.notificationService.notifySuperLike(target, user, match);
+        }
+
+        if (match.status === 'mutual' && !match.aiAnalysis) {
+            match.aiAnalysis = await this.generateMatchAnalysis(user, target);
+            await match.save();
+        }
+
+        return { success: true, match, isMutual: match.status === 'mutual' };
     }
 
-    analyzePersonalityTraits(traits1, traits2) {
-        const weights = {
-            openness: 0.15,
-            conscientiousness: 0.20,
-            extraversion: 0.18,
-            agreeableness: 0.22,
-            neuroticism: 0.15,
-            emotionalIntelligence: 0.10
+    // Undoes the user's most recent like or pass, provided the other side hasn't acted on
+    // them yet. Only one step back: the action before that can't be rewound.
+    async rewindLastAction(user) {
+        const last = user.lastAction;
+        const match = last && last.match && await Match.findById(last.match);
+        if (!match) {
+            return { success: false, reason: 'nothing_to_rewind' };
+        }
+
+        const isUser1 = match.user1.toString() === user._id.toString();
+        const ownAction = isUser1 ? match.user1Action : match.user2Action;
+        const otherAction = isUser1 ? match.user2Action : match.user1Action;
+
+        if (ownAction !== last.action) {
+            return { success: false, reason: 'nothing_to_rewind' };
+        }
+        if (!REWINDABLE_ACTIONS.includes(last.action)) {
+            return { success: false, reason: 'not_rewindable' };
+        }
+        if (otherAction) {
+            return { success: false, reason: 'already_answered' };
+        }
+
+        // The other side never acted, so the record only exists because of this action
+        await Match.deleteOne({ _id: match._id });
+        await User.updateOne({ _id: user._id }, { $unset: { lastAction: '' } });
+        await this.quotaService.refund(user, last.action, last.at);
+
+        return {
+            success: true,
+            action: last.action,
+            targetUserId: isUser1 ? match.user2 : match.user1
         };
-        
-        let score = 0;
-        for (const trait in weights) {
-            const diff = Math.abs(traits1[trait] - traits2[trait]);
-            score += (1 - diff / 100) * weights[trait];
+    }
+
+    async unmatch(userId, matchId) {
+        if (!/^[a-f\d]{24}$/i.test(String(matchId))) return null;
+
+        return await Match.findOneAndUpdate(
+            { _id: matchId, $or: [{ user1: userId }, { user2: userId }], status: 'mutual' },
+            { status: 'unmatched', unmatchedBy: userId, unmatchedAt: new Date() },
+            { new: true }
+        );
+    }
+
+    // Why two people were paired, computed fresh from both current profiles from
+    // `viewerId`'s side, for mutual matches only. Pass `viewerId` null for a staff view
+    // of any match record from user1's side.
+    async explainMatch(matchId, viewerId = null) {
+        if (!/^[a-f\d]{24}$/i.test(String(matchId))) return null;
+
+        const match = await Match.findById(matchId).populate('user1 user2');
+        if (!match || !match.user1 || !match.user2) return null;
+
+        let viewer = match.user1;
+        let other = match.user2;
+        if (viewerId) {
+            // Participants only see why they matched once they actually have
+            if (match.status !== 'mutual') return null;
+            if (match.user2._id.toString() === viewerId.toString()) {
+                [viewer, other] = [match.user2, match.user1];
+            } else if (match.user1._id.toString() !== viewerId.toString()) {
+                return null;
+            }
+            if (await this.blockService.isBlocked(viewer._id, other._id)) return null;
         }
-        
-        return Math.max(0, score * 100);
+
+        return {
+            matchId: match._id,
+            status: match.status,
+            scoreAtMatch: compatibilityEngine.shareableScore(match.compatibilityScore),
+            ...compatibilityEngine.explain(viewer, other)
+        };
     }
 
-    checkDealBreakers(user1, user2) {
-        const dealBreakers1 = user1.dealBreakers || {};
-        const dealBreakers2 = user2.dealBreakers || {};
-        
-        // Check smoking
-        if (dealBreakers1.smoking && user2.lifestyle?.smoking) return 0;
-        if (dealBreakers2.smoking && user1.lifestyle?.smoking) return 0;
-        
-        // Check kids
-        if (dealBreakers1.hasKids && user2.hasKids) return 0;
-        if (dealBreakers2.hasKids && user1.hasKids) return 0;
-        
-        // Check pets
-        if (dealBreakers1.pets && user2.hasPets) return 0;
-        if (dealBreakers2.pets && user1.hasPets) return 0;
-        
-        return 100;
+    // Called by chat (via POST /internal/matches/:matchId/messages) for every message sent in a match.
+    // The first message stops the expiry clock; a match already past its expiry stays expired.
+    async recordMessage(matchId, senderId) {
+        if (!/^[a-f\d]{24}$/i.test(String(matchId))) return null;
+
+        const sentAt = new Date();
+
+        return await Match.findOneAndUpdate(
+            {
+                _id: matchId,
+                status: 'mutual',
+                $and: [
+                    { $or: [{ user1: senderId }, { user2: senderId }] },
+                    { $or: [{ expiresAt: null }, { expiresAt: { $gt: sentAt } }] }
+                ]
+            },
+            [{
+                $set: {
+                    firstMessageAt: { $ifNull: ['$firstMessageAt', sentAt] },
+                    lastMessageAt: sentAt,
+                    lastMessageBy: senderId,
+                    expiresAt: null
+                }
+            }],
+            { new: true }
+        );
+    }
+
+    // Buys a quiet match more time. The caller checks the tier allows it.
+    async extendMatch(userId, matchId) {
+        if (!/^[a-f\d]{24}$/i.test(String(matchId))) {
+            return { success: false, reason: 'not_found' };
+        }
+
+        const match = await Match.findOne({ _id: matchId, $or: [{ user1: userId }, { user2: userId }], ...AWAITING_FIRST_MESSAGE });
+        if (!match || !match.expiresAt || match.expiresAt <= new Date()) {
+            return { success: false, reason: 'not_found' };
+        }
+        if ((match.extensions || 0) >= matchesConfig.maxExtensions) {
+            return { success: false, reason: 'extension_limit' };
+        }
+
+        const extended = await Match.findOneAndUpdate(
+            {
+                _id: match._id,
+                ...AWAITING_FIRST_MESSAGE,
+                expiresAt: match.expiresAt,
+                extensions: { $not: { $gte: matchesConfig.maxExtensions } }
+            },
+            {
+                $set: {
+                    expiresAt: new Date(match.expiresAt.getTime() + matchesConfig.extendHours * HOUR_MS),
+                    reminderSentAt: null
+                },
+                $inc: { extensions: 1 }
+            },
+            { new: true }
+        );
+
+        // Lost a race with another extend, a first message or the expiry job
+        if (!extended) {
+            return { success: false, reason: 'extension_limit' };
+        }
+
+        return { success: true, match: extended };
+    }
+
+    // Expired and unmatched matches, newest first
+    async getMatchHistory(userId) {
+        const blockedIds = await this.blockService.getBlockedUserIds(userId);
+
+        const matches = await Match.find({
+            $or: [{ user1: userId }, { user2: userId }],
+            user1: { $nin: blockedIds },
+            user2: { $nin: blockedIds },
+            status: { $in: ['expired', 'unmatched'] }
+        })
+            .sort({ updatedAt: -1 })
+            .limit(100)
+            .populate('user1 user2', 'firstName photos personalityType');
+
+        return matches.map(match => {
+            const other = match.user1._id.toString() === userId.toString() ? match.user2 : match.user1;
+            return {
+                matchId: match._id,
+                status: match.status,
+                user: { id: other._id, firstName: other.firstName, photos: other.photos, personalityType: other.personalityType },
+                matchedAt: match.matchedAt,
+                endedAt: match.status === 'expired' ? match.expiredAt : match.unmatchedAt,
+                unmatchedByYou: match.status === 'unmatched' && String(match.unmatchedBy) === userId.toString()
+            };
+        });
+    }
+
+    // "Your turn" reminder to both people once a quiet match is inside the reminder window
+    async sendExpiryReminders(now = new Date()) {
+        const matches = await Match.find({
+            ...AWAITING_FIRST_MESSAGE,
+            reminderSentAt: null,
+            expiresAt: { $gt: now, $lte: new Date(now.getTime() + matchesConfig.reminderHoursBefore * HOUR_MS) }
+        }).populate('user1 user2', 'firstName email');
+
+        let sent = 0;
+        for (const match of matches) {
+            // Claim first so overlapping runs don't remind twice
+            const claimed = await Match.updateOne(
+                { _id: match._id, ...AWAITING_FIRST_MESSAGE, reminderSentAt: null },
+                { reminderSentAt: now }
+            );
+            if (!claimed.modifiedCount || !match.user1 || !match.user2) continue;
+
+            await this.notificationService.notifyMatchExpiring(match, [match.user1, match.user2]);
+            sent++;
+        }
+
+        return sent;
+    }
+
+    async expireMatches(now = new Date()) {
+        const matches = await Match.find({ ...AWAITING_FIRST_MESSAGE, expiresAt: { $lte: now } })
+            .select('user1 user2 expiresAt')
+            .lean();
+
+        let expired = 0;
+        for (const match of matches) {
+            const result = await Match.updateOne(
+                { _id: match._id, ...AWAITING_FIRST_MESSAGE, expiresAt: { $lte: now } },
+                { status: 'expired', expiredAt: now }
+            );
+            if (!result.modifiedCount) continue;
+
+            await this.notificationService.notifyMatchExpired(match);
+            expired++;
+        }
+
+        return expired;
+    }
+
+    // Likes `userId` received and hasn't answered, super-likes first. Likers who have
+    // since been banned, suspended, deactivated or blocked (either way) are left out.
+    // Incognito likers are listed like anyone else: sending the like is what reveals them.
+    async getReceivedLikes(userId, { limit, countOnly = false } = {}) {
+        const pageSize = countOnly ? 0 : Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+        const blockedIds = await this.blockService.getBlockedUserIds(userId);
+
+        const [result] = await Match.aggregate([
+            { $match: this.receivedLikesFilter(userId) },
+            {
+                $addFields: {
+                    liker: { $cond: [{ $eq: ['$user2', userId] }, '$user1', '$user2'] },
+                    likerAction: { $cond: [{ $eq: ['$user2', userId] }, '$user1Action', '$user2Action'] }
+                }
+            },
+            { $match: { liker: { $nin: blockedIds } } },
+            {
+                $lookup: {
+                    from: User.collection.name,
+                    let: { likerId: '$liker' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$_id', '$$likerId'] },
+                                isActive: true,
+                                isBanned: { $ne: true },
+                                suspendedForReview: { $ne: true },
+                                isDeleted: { $ne: true }
+                            }
+                        },
+                        { $project: { firstName: 1, dateOfBirth: 1, photos: 1, bio: 1, personalityType: 1, isPhoneVerified: 1, isVerified: 1, travel: 1 } }
+                    ],
+                    as: 'likerUser'
+                }
+            },
+            { $unwind: '$likerUser' },
+            { $addFields: { superLike: { $eq: ['$likerAction', 'super_like'] } } },
+            { $sort: { superLike: -1, updatedAt: -1 } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    superLikes: [{ $match: { superLike: true } }, { $count: 'count' }],
+                    likes: [{ $limit: pageSize || 1 }]
+                }
+            }
+        ]);
+
+        return {
+            total: result.total.length ? result.total[0].count : 0,
+            superLikes: result.superLikes.length ? result.superLikes[0].count : 0,
+            likes: (pageSize ? result.likes : []).map(like => ({
+                matchId: like._id,
+                user: {
+                    id: like.likerUser._id,
+                    firstName: like.likerUser.firstName,
+                    age: like.likerUser.dateOfBirth ? calculateAge(like.likerUser.dateOfBirth) : null,
+                    photos: like.likerUser.photos,
+                    bio: like.likerUser.bio,
+                    personalityType: like.likerUser.personalityType,
+                    trustSignals: {
+                        phoneVerified: !!like.likerUser.isPhoneVerified,
+                        idVerified: !!like.likerUser.isVerified
+                    },
+                    visiting: like.likerUser.travel && like.likerUser.travel.status === 'active'
+                        ? { city: like.likerUser.travel.city, until: like.likerUser.travel.endsAt }
+                        : null
+                },
+                superLike: like.superLike,
+                compatibility: compatibilityEngine.shareableScore(like.compatibilityScore),
+                receivedAt: like.updatedAt
+            }))
+        };
+    }
+
+    async findReceivedLike(userId, likerId) {
+        if (!/^[a-f\d]{24}$/i.test(String(likerId))) return null;
+        if (await this.blockService.isBlocked(userId, likerId)) return null;
+
+        return await Match.findOne({
+            $and: [
+                this.receivedLikesFilter(userId),
+                { $or: [{ user1: likerId }, { user2: likerId }] }
+            ]
+        });
+    }
+
+    // The other side liked or super-liked; this user hasn't acted yet
+    receivedLikesFilter(userId) {
+        return {
+            $or: [
+                { user2: userId, user1Action: { $in: LIKE_ACTIONS }, user2Action: null },
+                { user1: userId, user2Action: { $in: LIKE_ACTIONS }, user1Action: null }
+            ]
+        };
     }
 
     async getAICompatibilityInsight(user1, user2, score) {
@@ -190,36 +722,13 @@ Provide specific insights about why they match and potential challenges.`;
             return null;
         }
     }
-
-    async findMatches(userId, limit = 10) {
-        const user = await User.findById(userId);
-        const potentialMatches = await User.find({
-            _id: { $ne: userId },
-            isActive: true,
-            location: { $near: user.location, $maxDistance: user.preferences.maxDistance }
-        });
-
-        const matches = [];
-        for (const potential of potentialMatches) {
-            const compatibility = await this.calculateCompatibility(user, potential);
-            
-            if (compatibility.compatibility > 70) {
-                matches.push({
-                    user: potential,
-                    compatibility: compatibility.compatibility,
-                    aiInsight: compatibility.aiInsight
-                });
-            }
-        }
-
-        return matches.sort((a, b) => b.compatibility - a.compatibility).slice(0, limit);
-    }
 }
 
 // backend/services/RevenueService.js
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Revenue = require('../models/Revenue');
 const nodemailer = require('nodemailer');
+const SubscriptionService = require('./SubscriptionService');
 
 class RevenueService {
     constructor() {
@@ -232,6 +741,7 @@ class RevenueService {
         });
         
         this.targetDaily = 23333; // $233.33 daily target
+        this.subscriptionService = new SubscriptionService();
     }
 
     async createSubscription(userId, priceId, paymentMethodId) {
@@ -352,7 +862,7 @@ class RevenueService {
 
     async getUserStats() {
         const totalUsers = await User.countDocuments();
-        const premiumUsers = await User.countDocuments({ subscriptionTier: { $ne: 'free' } });
+        const premiumUsers = await User.countDocuments(this.subscriptionService.paidPlanQuery());
         const verifiedUsers = await User.countDocuments({ isVerified: true });
         
         return {
@@ -400,13 +910,44 @@ module.exports = { MatchingService, RevenueService };
 // backend/routes/ai.js
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requirePremium } = require('../middleware/auth');
+const { authenticateToken, requireEntitlement } = require('../middleware/auth');
+const Match = require('../models/Match');
 const AIService = require('../services/AIService');
+const BlockService = require('../services/BlockService');
 
 const aiService = new AIService();
+const blockService = new BlockService();
+
+// AI features about another person need a live mutual match and no block either way
+const requireActiveMatch = async (req, res, next) => {
+    try {
+        const otherUserId = req.params.matchId || req.body.matchId;
+        if (!/^[a-f\d]{24}$/i.test(String(otherUserId))) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+
+        const [matched, blocked] = await Promise.all([
+            Match.exists({
+                $or: [
+                    { user1: req.user._id, user2: otherUserId },
+                    { user1: otherUserId, user2: req.user._id }
+                ],
+                status: 'mutual'
+            }),
+            blockService.isBlocked(req.user._id, otherUserId)
+        ]);
+
+        if (!matched || blocked) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
 
 // AI Relationship Coaching (Premium Feature)
-router.post('/coaching/conversation', authenticateToken, requirePremium, async (req, res) => {
+router.post('/coaching/conversation', authenticateToken, requireEntitlement('aiCoaching'), requireActiveMatch, async (req, res) => {
     try {
         const { matchId, messages } = req.body;
         const advice = await aiService.analyzeConversation(req.user.id, matchId, messages);
@@ -417,7 +958,7 @@ router.post('/coaching/conversation', authenticateToken, requirePremium, async (
 });
 
 // AI Compatibility Insights
-router.get('/insights/:matchId', authenticateToken, requirePremium, async (req, res) => {
+router.get('/insights/:matchId', authenticateToken, requireEntitlement('aiCoaching'), requireActiveMatch, async (req, res) => {
     try {
         const insights = await aiService.getCompatibilityInsights(req.user.id, req.params.matchId);
         res.json({ success: true, insights });
@@ -438,7 +979,7 @@ router.post('/safety/analyze', authenticateToken, async (req, res) => {
 });
 
 // AI Conversation Starters
-router.get('/conversation-starters/:matchId', authenticateToken, async (req, res) => {
+router.get('/conversation-starters/:matchId', authenticateToken, requireActiveMatch, async (req, res) => {
     try {
         const starters = await aiService.generateConversationStarters(req.user.id, req.params.matchId);
         res.json({ success: true, starters });
@@ -453,6 +994,7 @@ module.exports = router;
 const OpenAI = require('openai');
 const User = require('../models/User');
 const Match = require('../models/Match');
+const { compatibilityEngine } = require('./CompatibilityEngine');
 
 class AIService {
     constructor() {
@@ -535,9 +1077,14 @@ Be specific and actionable.`;
                 temperature: 0.8
             });
 
+            // Only the shareable explanation goes back; raw component details would reveal
+            // the other person's answers
+            const explanation = compatibilityEngine.explain(user, match);
+
             return {
                 insights: response.choices[0].message.content,
-                compatibilityScore: this.calculateDetailedCompatibility(user, match),
+                compatibilityScore: explanation.score,
+                breakdown: explanation.components,
                 generatedAt: new Date()
             };
         } catch (error) {
@@ -648,97 +1195,6 @@ Format as a simple list.`;
         }
     }
 
-    calculateDetailedCompatibility(user1, user2) {
-        // Enhanced compatibility calculation
-        const personalityWeight = 0.4;
-        const interestsWeight = 0.2;
-        const lifestyleWeight = 0.2;
-        const valuesWeight = 0.2;
-
-        const personalityScore = this.calculatePersonalityCompatibility(
-            user1.personalityTraits, 
-            user2.personalityTraits
-        );
-        
-        const interestsScore = this.calculateSharedInterests(
-            user1.interests || [], 
-            user2.interests || []
-        );
-        
-        const lifestyleScore = this.calculateLifestyleCompatibility(
-            user1.lifestyle || {}, 
-            user2.lifestyle || {}
-        );
-        
-        const valuesScore = this.calculateSharedValues(
-            user1.values || [], 
-            user2.values || []
-        );
-
-        return Math.round(
-            personalityScore * personalityWeight +
-            interestsScore * interestsWeight +
-            lifestyleScore * lifestyleWeight +
-            valuesScore * valuesWeight
-        );
-    }
-
-    calculatePersonalityCompatibility(traits1, traits2) {
-        const weights = {
-            openness: 0.15,
-            conscientiousness: 0.20,
-            extraversion: 0.18,
-            agreeableness: 0.25,
-            neuroticism: 0.12,
-            emotionalIntelligence: 0.10
-        };
-
-        let totalScore = 0;
-        for (const [trait, weight] of Object.entries(weights)) {
-            const diff = Math.abs((traits1[trait] || 50) - (traits2[trait] || 50));
-            const score = Math.max(0, 100 - diff * 2); // Penalty for large differences
-            totalScore += score * weight;
-        }
-
-        return totalScore;
-    }
-
-    calculateSharedInterests(interests1, interests2) {
-        if (interests1.length === 0 || interests2.length === 0) return 50;
-        
-        const shared = interests1.filter(interest => 
-            interests2.includes(interest)
-        ).length;
-        
-        const total = new Set([...interests1, ...interests2]).size;
-        return (shared / total) * 100;
-    }
-
-    calculateLifestyleCompatibility(lifestyle1, lifestyle2) {
-        const factors = ['exerciseFrequency', 'drinkingHabits', 'socialLevel', 'sleepSchedule'];
-        let compatibilitySum = 0;
-        let factorCount = 0;
-
-        factors.forEach(factor => {
-            if (lifestyle1[factor] && lifestyle2[factor]) {
-                const diff = Math.abs(lifestyle1[factor] - lifestyle2[factor]);
-                compatibilitySum += Math.max(0, 100 - diff * 20);
-                factorCount++;
-            }
-        });
-
-        return factorCount > 0 ? compatibilitySum / factorCount : 75;
-    }
-
-    calculateSharedValues(values1, values2) {
-        if (values1.length === 0 || values2.length === 0) return 50;
-        
-        const shared = values1.filter(value => values2.includes(value)).length;
-        const maxValues = Math.max(values1.length, values2.length);
-        
-        return (shared / maxValues) * 100;
-    }
-
     extractRiskLevel(analysis) {
         const text = analysis.toLowerCase();
         if (text.includes('high') && text.includes('risk')) return 'HIGH';
@@ -752,13 +1208,22 @@ module.exports = AIService;
 
 // backend/routes/admin.js
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const AdminService = require('../services/AdminService');
 const RevenueService = require('../services/RevenueService');
+const CampaignService = require('../services/CampaignService');
+const CompatibilityIndexService = require('../services/CompatibilityIndexService');
+const { MatchingService } = require('../services/MatchingService');
+const ExposureService = require('../services/ExposureService');
 
 const adminService = new AdminService();
 const revenueService = new RevenueService();
+const campaignService = new CampaignService();
+const compatibilityIndexService = new CompatibilityIndexService();
+const matchingService = new MatchingService();
+const exposureService = new ExposureService();
 
 // Revenue Dashboard
 router.get('/revenue/dashboard', authenticateToken, requireAdmin, async (req, res) => {
@@ -812,6 +1277,110 @@ router.get('/safety/reports', authenticateToken, requireAdmin, async (req, res)
     }
 });
 
+// Login Attempt Audit
+router.get('/security/login-attempts', authenticateToken, requireAdmin, [
+    // A repeated parameter arrives as an array, which each validator would otherwise check item by item
+    query('email').optional().not().isArray().isEmail().normalizeEmail(),
+    query('ip').optional().not().isArray().isIP(),
+    query('userId').optional().not().isArray().isMongoId(),
+    query('success').optional().not().isArray().isIn(['true', 'false']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { page = 1, limit = 50, email, ip, userId, success } = req.query;
+        const attempts = await adminService.getLoginAttempts(page, limit, { email, ip, userId, success });
+        res.json({ success: true, attempts });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Promo Campaigns
+router.get('/campaigns', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const campaigns = await campaignService.listCampaigns();
+        res.json({ success: true, campaigns });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.post('/campaigns', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { name, slug, trigger, durationDays, code } = req.body;
+        if (!name || !slug || !['signup', 'promo_code'].includes(trigger) || !(durationDays > 0)) {
+            return res.status(400).json({ error: 'name, slug, trigger and a positive durationDays are required' });
+        }
+        if (trigger === 'promo_code' && !code) {
+            return res.status(400).json({ error: 'Promo code campaigns need a code' });
+        }
+
+        const campaign = await campaignService.createCampaign(req.body, req.user.id);
+        res.status(201).json({ success: true, campaign: campaignService.summarize(campaign) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.get('/campaigns/:campaignId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const campaign = await campaignService.getCampaignStats(req.params.campaignId);
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+router.patch('/campaigns/:campaignId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { status, endsAt, cap, priority } = req.body;
+        const campaign = await campaignService.updateCampaign(req.params.campaignId, { status, endsAt, cap, priority });
+        res.json({ success: true, campaign });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Compatibility Index Freshness
+router.get('/compatibility-index', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const freshness = await compatibilityIndexService.getFreshness();
+        res.json({ success: true, freshness });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Deck Exposure Fairness (daily impression distribution)
+router.get('/exposure', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+        const metrics = await exposureService.getMetrics(days);
+        res.json({ success: true, metrics });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Match Explanation (support)
+router.get('/matches/:matchId/explain', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const explanation = await matchingService.explainMatch(req.params.matchId);
+        if (!explanation) {
+            return res.status(404).json({ error: 'Match not found' });
+        }
+        res.json({ success: true, explanation });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Process Safety Report
 router.post('/safety/reports/:reportId/process', authenticateToken, requireAdmin, async (req, res) => {
     try {
@@ -829,7 +1398,9 @@ module.exports = router;
 const User = require('../models/User');
 const Revenue = require('../models/Revenue');
 const SafetyReport = require('../models/SafetyReport');
+const LoginAttempt = require('../models/LoginAttempt');
 const nodemailer = require('nodemailer');
+const SubscriptionService = require('./SubscriptionService');
 
 class AdminService {
     constructor() {
@@ -840,6 +1411,7 @@ class AdminService {
                 pass: process.env.SMTP_PASS
             }
         });
+        this.subscriptionService = new SubscriptionService();
     }
 
     async getRevenueDashboard() {
@@ -893,7 +1465,7 @@ class AdminService {
     async getUserStatistics() {
         const [total, premium, verified, active] = await Promise.all([
             User.countDocuments(),
-            User.countDocuments({ subscriptionTier: { $ne: 'free' } }),
+            User.countDocuments(this.subscriptionService.paidPlanQuery()),
             User.countDocuments({ isVerified: true }),
             User.countDocuments({ lastActive: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } })
         ]);
@@ -966,6 +1538,34 @@ class AdminService {
             .limit(100);
     }
 
+    async getLoginAttempts(page = 1, limit = 50, filter = {}) {
+        const skip = (page - 1) * limit;
+        const query = {};
+
+        if (filter.email) query.email = filter.email.toLowerCase();
+        if (filter.ip) query.ipAddress = filter.ip;
+        if (filter.userId) query.user = filter.userId;
+        if (filter.success !== undefined) query.success = filter.success === 'true';
+
+        const [attempts, total] = await Promise.all([
+            LoginAttempt.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            LoginAttempt.countDocuments(query)
+        ]);
+
+        return {
+            attempts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
     async processSafetyReport(reportId, action, notes, adminId) {
         const report = await SafetyReport.findById(reportId);
         if (!report) throw new Error('Report not found');
@@ -993,11 +1593,14 @@ class SafetyService {
         this.aiService = new AIService();
     }
 
-    async reportUser(reportedBy, reportedUser, reason, evidence = {}) {
+    async reportUser(reportedBy, reportedUser, reason, evidence = {}, description = '') {
+        // Reports are always filed, even when the reported user has blocked the reporter;
+        // the reporter only ever gets the report id back, so nothing of the blocker is exposed
         const report = new SafetyReport({
             reportedBy,
             reportedUser,
             reason,
+            description,
             evidence,
             status: 'pending'
         });
@@ -1082,11 +1685,20 @@ class SafetyService {
             newAccount: new Date() - user.createdAt < 24 * 60 * 60 * 1000
         };
 
-        const riskScore = Object.values(riskFactors).filter(Boolean).length;
+        const trustSignals = {
+            phoneVerified: !!user.isPhoneVerified,
+            idVerified: !!user.isVerified
+        };
+
+        // A verified phone number offsets one risk factor
+        const riskScore = Math.max(0,
+            Object.values(riskFactors).filter(Boolean).length - (trustSignals.phoneVerified ? 1 : 0)
+        );
         
         return {
             riskLevel: riskScore >= 3 ? 'HIGH' : riskScore >= 2 ? 'MEDIUM' : 'LOW',
             riskFactors,
+            trustSignals,
             recommendations: this.getSafetyRecommendations(riskScore)
         };
     }
@@ -1123,6 +1735,12 @@ module.exports = { AdminService, SafetyService };
 // backend/middleware/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/SessionService');
+const EntitlementService = require('../services/EntitlementService');
+const { safeCompare } = require('../utils/helpers');
+
+const sessionService = new SessionService();
+const entitlementService = new EntitlementService();
 
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
@@ -1134,23 +1752,34 @@ const authenticateToken = async (req, res, next) => {
 
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens are only honoured while their session is still active
+        const session = decoded.sessionId && await sessionService.findActiveSession(decoded.sessionId, decoded.userId);
+        if (!session) {
+            return res.status(401).json({ error: 'Session expired or revoked' });
+        }
+
         const user = await User.findById(decoded.userId).select('-password');
-        
+
         if (!user || user.isBanned) {
             return res.status(403).json({ error: 'User not found or banned' });
         }
 
         req.user = user;
+        req.userId = user._id.toString();
+        req.authSession = session;
         next();
     } catch (error) {
         return res.status(403).json({ error: 'Invalid token' });
     }
 };
 
-const requirePremium = (req, res, next) => {
-    if (req.user.subscriptionTier === 'free') {
-        return res.status(402).json({ 
+// Gates a route on a plan feature from config/tiers.js, e.g. requireEntitlement('rewind')
+const requireEntitlement = (feature) => (req, res, next) => {
+    if (!entitlementService.has(req.user, feature)) {
+        return res.status(402).json({
             error: 'Premium subscription required',
+            entitlement: feature,
             upgradeUrl: '/premium'
         });
     }
@@ -1161,6 +1790,24 @@ const requireAdmin = (req, res, next) => {
     if (req.user.role !== 'admin') {
         return res.status(403).json({ error: 'Admin access required' });
     }
+    // Admin sessions must have passed a second factor at login
+    if (!req.authSession || !req.authSession.twoFactorVerified) {
+        return res.status(403).json({
+            error: 'Two-factor authentication required',
+            setupUrl: '/auth/2fa/setup'
+        });
+    }
+    next();
+};
+
+// Gates a feature on a confirmed email address when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
+        return res.status(403).json({
+            error: 'Email verification required',
+            verifyUrl: '/verify-email'
+        });
+    }
     next();
 };
 
@@ -1174,6 +1821,16 @@ const requireVerification = (req, res, next) => {
     next();
 };
 
+// Server-to-server routes (e.g. chat) authenticate with X-Service-Token. Closed when
+// INTERNAL_SERVICE_TOKEN isn't configured.
+const requireServiceToken = (req, res, next) => {
+    const token = req.headers['x-service-token'];
+    if (!process.env.INTERNAL_SERVICE_TOKEN || !token || !safeCompare(token, process.env.INTERNAL_SERVICE_TOKEN)) {
+        return res.status(401).json({ error: 'Service token required' });
+    }
+    next();
+};
+
 const rateLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
     const requests = new Map();
     
@@ -1200,9 +1857,11 @@ const rateLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
     authenticateToken,
-    requirePremium,
+    requireEntitlement,
     requireAdmin,
+    requireVerifiedEmail,
     requireVerification,
+    requireServiceToken,
     rateLimiter
 };
 
@@ -1318,6 +1977,44 @@ const verifyHash = (str, hash, salt) => {
     return hash === verifyHash;
 };
 
+// Deterministic hash for looking up high-entropy tokens (refresh, verification, reset)
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// AES-256-GCM for secrets we must be able to read back (e.g. TOTP seeds).
+// ENCRYPTION_KEY is 32 bytes, hex encoded.
+const encryptSecret = (plaintext) => {
+    const key = Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (payload) => {
+    const key = Buffer.from(process.env.ENCRYPTION_KEY, 'hex');
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Stable keyed hash for records we must retain after an account is deleted.
+// PSEUDONYM_SECRET must stay the same for the life of the deployment.
+const pseudonymize = (value) => {
+    if (!process.env.PSEUDONYM_SECRET) {
+        throw new Error('PSEUDONYM_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', process.env.PSEUDONYM_SECRET).update(String(value).toLowerCase()).digest('hex');
+};
+
+const safeCompare = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
 const calculateAge = (birthDate) => {
     return Math.floor((new Date() - new Date(birthDate)) / (365.25 * 24 * 60 * 60 * 1000));
 };
@@ -1334,6 +2031,24 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
     return R * c;
 };
 
+// Accepts GeoJSON points ({ coordinates: [lng, lat] }) or { lat, lng } as sent by Register.js
+const getCoordinates = (location) => {
+    if (!location) return null;
+    if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+        return { lat: location.coordinates[1], lng: location.coordinates[0] };
+    }
+    if (typeof location.lat === 'number' && typeof location.lng === 'number') {
+        return { lat: location.lat, lng: location.lng };
+    }
+    return null;
+};
+
+// GeoJSON point for storage, so location works with 2dsphere queries
+const toGeoPoint = (location) => {
+    const coordinates = getCoordinates(location);
+    return coordinates ? { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] } : undefined;
+};
+
 const optimizeImage = async (buffer, options = {}) => {
     const {
         width = 800,
@@ -1387,6 +2102,49 @@ const isBusinessHours = () => {
     return day >= 1 && day <= 5 && hour >= 9 && hour <= 18;
 };
 
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Calendar date (YYYY-MM-DD) in the given IANA time zone; UTC if the zone is unknown
+const getDateKey = (timeZone = 'UTC', date = new Date()) => {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    return new Intl.DateTimeFormat('en-CA', { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+};
+
+// Offset of the given time zone from UTC at `date`, in ms
+const getTimeZoneOffset = (timeZone, date) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Start of the next local day in the given time zone
+const getNextMidnight = (timeZone = 'UTC', date = new Date()) => {
+    const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+    const [year, month, day] = getDateKey(zone, date).split('-').map(Number);
+    const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+
+    // Re-check the offset at the result in case a DST change happens before midnight
+    const guess = new Date(midnightAsUtc - getTimeZoneOffset(zone, date));
+    return new Date(midnightAsUtc - getTimeZoneOffset(zone, guess));
+};
+
 const scheduleTask = (task, delayMs) => {
     return setTimeout(task, delayMs);
 };
@@ -1396,11 +2154,36 @@ const formatPhoneNumber = (phone) => {
     if (cleaned.length === 10) {
         return `(${cleaned.slice(0,3)}) ${cleaned.slice(3,6)}-${cleaned.slice(6)}`;
     }
+    // North American numbers stored in E.164 (+1XXXXXXXXXX)
+    if (cleaned.length === 11 && cleaned.startsWith('1')) {
+        return `+1 (${cleaned.slice(1,4)}) ${cleaned.slice(4,7)}-${cleaned.slice(7)}`;
+    }
     return phone;
 };
 
+// Normalizes a user-entered number to E.164. Numbers without an international prefix
+// are treated as national numbers in defaultCountryCode. Returns null if invalid.
+const toE164 = (phone, defaultCountryCode = process.env.DEFAULT_COUNTRY_CODE || '1') => {
+    if (typeof phone !== 'string') return null;
+
+    const trimmed = phone.trim();
+    let digits = trimmed.replace(/\D/g, '');
+
+    if (trimmed.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (defaultCountryCode === '1' && digits.length === 11 && digits.startsWith('1')) {
+        // US/Canada number typed with the leading 1
+    } else {
+        digits = defaultCountryCode + digits.replace(/^0+/, '');
+    }
+
+    return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
+
 const generateOTP = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
 };
 
 const maskEmail = (email) => {
@@ -1427,16 +2210,27 @@ module.exports = {
     generateSecureToken,
     hashString,
     verifyHash,
+    hashToken,
+    encryptSecret,
+    decryptSecret,
+    pseudonymize,
+    safeCompare,
     calculateAge,
     calculateDistance,
+    getCoordinates,
+    toGeoPoint,
     optimizeImage,
     uploadToS3,
     generateReferralCode,
     formatCurrency,
     generateMatchId,
     isBusinessHours,
+    isValidTimeZone,
+    getDateKey,
+    getNextMidnight,
     scheduleTask,
     formatPhoneNumber,
+    toE164,
     generateOTP,
     maskEmail,
     logError,
@@ -1507,7 +2301,7 @@ safetyReportSchema.index({ createdAt: -1 });
 module.exports = mongoose.model('SafetyReport', safetyReportSchema);
 
 // frontend/src/components/Register.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
     Container, Paper, TextField, Button, Typography, Box,
@@ -1550,15 +2344,42 @@ function Register() {
             agreeableness: 50,
             neuroticism: 50
         },
-        dealBreakers: {
-            smoking: false,
-            hasKids: false,
-            pets: false
-        },
+        // Answers and partner preferences, keyed by preference catalog item
+        attributes: {},
+        partnerPreferences: {},
         interests: [],
         location: { lat: 0, lng: 0 }
     });
 
+    // Profile questions come from the server's preference catalog
+    const [catalog, setCatalog] = useState(null);
+
+    useEffect(() => {
+        axios.get('/profile/catalog')
+            .then(response => setCatalog(response.data))
+            .catch(() => setError('Could not load profile questions'));
+    }, []);
+
+    const setAttribute = (key, value) => setFormData(prev => ({
+        ...prev,
+        attributes: { ...prev.attributes, [key]: value || null }
+    }));
+
+    const setPartnerPreference = (key, changes) => setFormData(prev => {
+        const current = prev.partnerPreferences[key] || { accepts: [], importance: '' };
+        return {
+            ...prev,
+            partnerPreferences: { ...prev.partnerPreferences, [key]: { ...current, ...changes } }
+        };
+    });
+
+    const toggleAccepted = (key, value, checked) => {
+        const accepts = (formData.partnerPreferences[key] || { accepts: [] }).accepts;
+        setPartnerPreference(key, {
+            accepts: checked ? [...accepts, value] : accepts.filter(accepted => accepted !== value)
+        });
+    };
+
     const handleNext = () => {
         if (validateStep(activeStep)) {
             setActiveStep(prev => prev + 1);
@@ -1588,7 +2409,12 @@ function Register() {
         setError('');
         
         try {
-            const response = await axios.post('/auth/register', formData);
+            // Only preferences with an importance and at least one accepted answer are sent
+            const partnerPreferences = Object.fromEntries(
+                Object.entries(formData.partnerPreferences)
+                    .filter(([, preference]) => preference.importance && preference.accepts.length)
+            );
+            const response = await axios.post('/auth/register', { ...formData, partnerPreferences });
             await login(response.data.token);
             navigate('/verify'); // Redirect to ID verification
         } catch (error) {
@@ -1742,57 +2568,70 @@ function Register() {
                         </Grid>
                         <Grid item xs={12}>
                             <Typography variant="h6" gutterBottom>
-                                Deal Breakers
+                                About you and who you're looking for
                             </Typography>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                                Select what you absolutely cannot accept in a partner:
+                                Answer what you like and say how much each matters in a partner. People who don't meet a deal-breaker won't be shown to you.
                             </Typography>
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        checked={formData.dealBreakers.smoking}
-                                        onChange={(e) => setFormData({
-                                            ...formData,
-                                            dealBreakers: {
-                                                ...formData.dealBreakers,
-                                                smoking: e.target.checked
-                                            }
-                                        })}
-                                    />
-                                }
-                                label="Smoking"
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        checked={formData.dealBreakers.hasKids}
-                                        onChange={(e) => setFormData({
-                                            ...formData,
-                                            dealBreakers: {
-                                                ...formData.dealBreakers,
-                                                hasKids: e.target.checked
-                                            }
-                                        })}
-                                    />
-                                }
-                                label="Has Children"
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        checked={formData.dealBreakers.pets}
-                                        onChange={(e) => setFormData({
-                                            ...formData,
-                                            dealBreakers: {
-                                                ...formData.dealBreakers,
-                                                pets: e.target.checked
-                                            }
-                                        })}
-                                    />
-                                }
-                                label="Has Pets"
-                            />
                         </Grid>
+                        {catalog && catalog.items.map((item) => {
+                            const preference = formData.partnerPreferences[item.key] || { accepts: [], importance: '' };
+                            return (
+                                <Grid item xs={12} key={item.key}>
+                                    <Grid container spacing={2}>
+                                        <Grid item xs={12} sm={6}>
+                                            <TextField
+                                                fullWidth
+                                                select
+                                                label={item.label}
+                                                value={formData.attributes[item.key] || ''}
+                                                onChange={(e) => setAttribute(item.key, e.target.value)}
+                                                SelectProps={{ native: true }}
+                                            >
+                                                <option value=""></option>
+                                                {item.options.map((option) => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </TextField>
+                                        </Grid>
+                                        <Grid item xs={12} sm={6}>
+                                            <TextField
+                                                fullWidth
+                                                select
+                                                label="How much it matters"
+                                                value={preference.importance}
+                                                onChange={(e) => setPartnerPreference(item.key, { importance: e.target.value })}
+                                                SelectProps={{ native: true }}
+                                            >
+                                                <option value="">No preference</option>
+                                                {catalog.importance.map((level) => (
+                                                    <option key={level.value} value={level.value}>{level.label}</option>
+                                                ))}
+                                            </TextField>
+                                        </Grid>
+                                        {preference.importance && (
+                                            <Grid item xs={12}>
+                                                <Typography variant="body2" color="text.secondary">
+                                                    {item.partnerLabel}:
+                                                </Typography>
+                                                {item.options.map((option) => (
+                                                    <FormControlLabel
+                                                        key={option.value}
+                                                        control={
+                                                            <Checkbox
+                                                                checked={preference.accepts.includes(option.value)}
+                                                                onChange={(e) => toggleAccepted(item.key, option.value, e.target.checked)}
+                                                            />
+                                                        }
+                                                        label={option.label}
+                                                    />
+                                                ))}
+                                            </Grid>
+                                        )}
+                                    </Grid>
+                                </Grid>
+                            );
+                        })}
                     </Grid>
                 );
             
@@ -0,0 +1,37 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const NotificationService = require('../services/NotificationService');
+const router = express.Router();
+
+const notificationService = new NotificationService();
+
+// Newest first, with the unread count
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await notificationService.list(req.user._id, req.query.limit);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notifications', error: error.message });
+  }
+});
+
+// Mark specific notifications read, or everything when `ids` is omitted
+router.post('/read', authenticateToken, [
+  body('ids').optional().isArray({ max: 100 }),
+  body('ids.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updated = await notificationService.markRead(req.user._id, req.body.ids || null);
+    res.json({ updated });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
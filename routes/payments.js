@@ -2,9 +2,16 @@ const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const User = require('../models/User');
 const Revenue = require('../models/Revenue');
-const auth = require('../middleware/auth');
+const { authenticateToken: auth } = require('../middleware/auth');
+const ReferralService = require('../services/ReferralService');
+const BoostService = require('../services/BoostService');
+const PreferenceService = require('../services/PreferenceService');
 const router = express.Router();
 
+const referralService = new ReferralService();
+const boostService = new BoostService();
+const preferenceService = new PreferenceService();
+
 // Create subscription
 router.post('/create-subscription', auth, async (req, res) => {
   try {
@@ -66,6 +73,12 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
     case 'invoice.payment_succeeded':
       const invoice = event.data.object;
       await recordRevenue(invoice);
+      await qualifyReferral(invoice);
+      break;
+    case 'payment_intent.succeeded':
+      if (event.data.object.metadata.type === 'boost') {
+        await fulfilBoostPurchase(event.data.object);
+      }
       break;
     case 'customer.subscription.deleted':
       await handleSubscriptionCancellation(event.data.object);
@@ -96,4 +109,47 @@ async function recordRevenue(invoice) {
   );
 }
 
+// Stripe ended the subscription (cancelled at period end, or payment failed for good)
+async function handleSubscriptionCancellation(subscription) {
+  const user = await User.findOneAndUpdate(
+    { 'subscription.stripeSubscriptionId': subscription.id },
+    { 'subscription.status': 'cancelled', 'subscription.endDate': new Date() },
+    { new: true }
+  );
+
+  // Paid-only settings switch off with the plan
+  if (user && user.preferences && user.preferences.incognito) {
+    await preferenceService.clearIncognito(user._id);
+  }
+}
+
+// Credits the boosts and books the revenue once per payment, however often Stripe retries
+async function fulfilBoostPurchase(paymentIntent) {
+  if (!(await boostService.fulfilPurchase(paymentIntent))) return;
+
+  const today = new Date().toISOString().split('T')[0];
+  const amount = paymentIntent.amount_received / 100;
+
+  await Revenue.findOneAndUpdate(
+    { date: today },
+    {
+      $inc: {
+        totalRevenue: amount,
+        ownerAmount: amount * (process.env.OWNER_PERCENTAGE / 100),
+        operatingAmount: amount * (process.env.OPERATING_PERCENTAGE / 100),
+        'breakdown.boosts': amount
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// A first payment can be the event that pays out a pending referral
+async function qualifyReferral(invoice) {
+  const user = await User.findOne({ 'subscription.stripeCustomerId': invoice.customer }).select('_id');
+  if (user) {
+    await referralService.qualify(user._id, 'payment');
+  }
+}
+
 module.exports = router;
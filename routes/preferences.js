@@ -0,0 +1,53 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const PreferenceService = require('../services/PreferenceService');
+const EntitlementService = require('../services/EntitlementService');
+const { isValidTimeZone } = require('../utils/helpers');
+const router = express.Router();
+
+const preferenceService = new PreferenceService();
+const entitlementService = new EntitlementService();
+
+// Discovery preferences, with defaults filled in, plus the time zone daily limits reset in
+router.get('/', authenticateToken, async (req, res) => {
+  res.json(preferenceService.getPreferences(req.user));
+});
+
+// Partial update; omitted fields keep their current value
+router.put('/', authenticateToken, [
+  body('ageMin').optional().isInt({ min: 18, max: 100 }).toInt(),
+  body('ageMax').optional().isInt({ min: 18, max: 100 }).toInt(),
+  body('showMe').optional().isArray({ min: 1 }),
+  body('showMe.*').isIn(PreferenceService.GENDERS),
+  body('visibleTo').optional().isArray({ min: 1 }),
+  body('visibleTo.*').isIn(PreferenceService.GENDERS),
+  body('maxDistance').optional().isInt({ min: 1, max: 500 }).toInt(),
+  body('verifiedOnly').optional().isBoolean().toBoolean(),
+  body('incognito').optional().isBoolean().toBoolean(),
+  body('timezone').optional().custom(isValidTimeZone)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const current = preferenceService.getPreferences(req.user);
+    const ageMin = req.body.ageMin !== undefined ? req.body.ageMin : current.ageMin;
+    const ageMax = req.body.ageMax !== undefined ? req.body.ageMax : current.ageMax;
+    if (ageMin > ageMax) {
+      return res.status(400).json({ message: 'Minimum age cannot be above maximum age' });
+    }
+    if (req.body.incognito && !entitlementService.has(req.user, 'incognito')) {
+      return res.status(402).json({ message: 'Premium subscription required', upgradeUrl: '/premium' });
+    }
+
+    const preferences = await preferenceService.updatePreferences(req.user._id, req.body);
+    res.json(preferences);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
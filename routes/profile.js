@@ -0,0 +1,39 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const ProfileService = require('../services/ProfileService');
+const router = express.Router();
+
+const profileService = new ProfileService();
+
+// Profile questions and preference levels; public so Register can render before signup
+router.get('/catalog', (req, res) => {
+  res.json(profileService.getCatalog());
+});
+
+router.get('/', authenticateToken, async (req, res) => {
+  res.json(profileService.getProfile(req.user));
+});
+
+// Partial update of answers and partner preferences; null clears an item
+router.put('/', authenticateToken, [
+  body('attributes').optional().custom(value => profileService.validateAttributes(value)),
+  body('partnerPreferences').optional().custom(value => profileService.validatePartnerPreferences(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await profileService.updateProfile(req.user._id, {
+      attributes: req.body.attributes,
+      partnerPreferences: req.body.partnerPreferences
+    });
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const ReferralService = require('../services/ReferralService');
+const router = express.Router();
+
+const referralService = new ReferralService();
+
+// Referral code, share link and stats
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const stats = await referralService.getStats(req.user._id);
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching referrals', error: error.message });
+  }
+});
+
+module.exports = router;
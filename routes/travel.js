@@ -0,0 +1,58 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const TravelService = require('../services/TravelService');
+const travelConfig = require('../config/travel');
+const router = express.Router();
+
+const travelService = new TravelService();
+
+// Current or upcoming trip, or null
+router.get('/', authenticateToken, async (req, res) => {
+  res.json({ travel: travelService.getTravel(req.user) });
+});
+
+// Set a trip. It starts straight away unless startsAt is in the future.
+router.put('/', authenticateToken, [
+  body('lat').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('lng').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('city').trim().isLength({ min: 1, max: 100 }),
+  body('startsAt').optional().isISO8601(),
+  body('endsAt').isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await travelService.setTravel(req.user, req.body);
+    if (!result.success) {
+      const messages = {
+        invalid_dates: 'The trip must end in the future and after it starts',
+        too_long: `Trips can last up to ${travelConfig.maxTripDays} days and be planned up to ${travelConfig.maxLeadDays} days ahead`
+      };
+      return res.status(400).json({ message: messages[result.reason] });
+    }
+
+    res.json({ travel: result.travel });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cancel the trip; an active one switches back to the home location immediately
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const cancelled = await travelService.cancelTravel(req.user);
+    if (!cancelled) {
+      return res.status(404).json({ message: 'No trip planned' });
+    }
+
+    res.json({ message: 'Trip cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
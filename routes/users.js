@@ -0,0 +1,102 @@
+const express = require('express');
+const User = require('../models/User');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const BlockService = require('../services/BlockService');
+const { SafetyService } = require('../services/AdminService');
+const router = express.Router();
+
+const blockService = new BlockService();
+const safetyService = new SafetyService();
+
+const REPORT_REASONS = ['inappropriate_behavior', 'harassment', 'fake_profile', 'spam', 'abuse', 'catfish', 'underage', 'other'];
+
+// With a prefix (e.g. 'report.') the fields are only checked when that object was sent
+const reportValidators = (prefix = '') => {
+  const field = (name) => (prefix ? body(`${prefix}${name}`).if(body(prefix.slice(0, -1)).exists()) : body(name));
+
+  return [
+    field('reason').isIn(REPORT_REASONS),
+    field('description').isString().trim().isLength({ min: 1, max: 1000 }),
+    field('evidence.screenshots').optional().isArray({ max: 10 }),
+    field('evidence.messages').optional().isArray({ max: 50 }),
+    field('evidence.additionalInfo').optional().isString().isLength({ max: 1000 })
+  ];
+};
+
+// People I've blocked
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const blocked = await blockService.listBlocked(req.user._id);
+    res.json({ blocked });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Block someone, optionally reporting them in the same request
+router.post('/:userId/block', authenticateToken, [
+  body('report').optional().isObject(),
+  ...reportValidators('report.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await blockService.block(req.user, req.params.userId, { report: req.body.report });
+    if (!result.success) {
+      return result.reason === 'self_block'
+        ? res.status(400).json({ message: 'Cannot block yourself' })
+        : res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: 'User blocked',
+      reportId: result.report ? result.report._id : null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error blocking user', error: error.message });
+  }
+});
+
+router.delete('/:userId/block', authenticateToken, async (req, res) => {
+  try {
+    const unblocked = await blockService.unblock(req.user._id, req.params.userId);
+    if (!unblocked) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/:userId/report', authenticateToken, reportValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.user._id.toString() === req.params.userId) {
+      return res.status(400).json({ message: 'Cannot report yourself' });
+    }
+
+    const reportedUser = /^[a-f\d]{24}$/i.test(req.params.userId) && await User.exists({ _id: req.params.userId });
+    if (!reportedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { reason, description, evidence } = req.body;
+    const report = await safetyService.reportUser(req.user._id, req.params.userId, reason, evidence, description);
+
+    res.status(201).json({ message: 'Report submitted', reportId: report._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Error submitting report', error: error.message });
+  }
+});
+
+module.exports = router;
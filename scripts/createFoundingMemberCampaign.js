@@ -0,0 +1,44 @@
+// One-off migration: moves the hard-coded "first 1000 users get a year of premium"
+// rule into a campaign. Existing signups count against the cap, as they did before.
+//   node scripts/createFoundingMemberCampaign.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+
+const CAP = 1000;
+
+const run = async () => {
+    const existing = await Campaign.findOne({ slug: 'founding-members' });
+    if (existing) {
+        console.log('Founding member campaign already exists');
+        return existing;
+    }
+
+    const userCount = await User.countDocuments();
+    const campaign = await Campaign.create({
+        name: 'Founding members',
+        slug: 'founding-members',
+        description: 'First 1000 users get premium for 365 days',
+        trigger: 'signup',
+        grant: { plan: 'premium', durationDays: 365 },
+        cap: CAP,
+        allocated: Math.min(userCount, CAP),
+        priority: 100,
+        foundingMember: true
+    });
+
+    console.log(`Created founding member campaign with ${campaign.allocated}/${CAP} allocated`);
+    return campaign;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Campaign migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,37 @@
+// Offline evaluation of the learned ranking. Trains on older Match history, holds out the
+// newest slice, and reports precision@k for the blended deck score against compatibility alone.
+// Nothing is saved or activated.
+//   node scripts/evaluateRanking.js
+const mongoose = require('mongoose');
+const RankingService = require('../services/RankingService');
+
+const run = async () => {
+    const rankingService = new RankingService();
+    const { model, metrics, trainRecords, holdoutRecords } = await rankingService.trainAndEvaluate();
+
+    console.log(`Match records: ${trainRecords} train, ${holdoutRecords} held out`);
+    console.log(`Viewers evaluated: ${metrics.viewersEvaluated}`);
+    console.log(`precision@${metrics.k} (blended):            ${formatPrecision(metrics.precisionAtK)}`);
+    console.log(`precision@${metrics.k} (compatibility only): ${formatPrecision(metrics.baselinePrecisionAtK)}`);
+    console.log('Weights:');
+    model.features.forEach((feature, i) => {
+        console.log(`  ${feature.padEnd(18)} ${model.weights[i].toFixed(4)}`);
+    });
+    console.log(`  ${'bias'.padEnd(18)} ${model.bias.toFixed(4)}`);
+
+    return metrics;
+};
+
+const formatPrecision = (value) => (value === null ? 'n/a' : value.toFixed(3));
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Ranking evaluation failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,72 @@
+// One-off migration: converts the old boolean deal-breakers (smoking, hasKids, pets) and the
+// hasKids / hasPets / lifestyle.smoking flags they were checked against into catalog answers
+// and partner preferences. Items the user has already set in the new format are left alone.
+//   node scripts/migrateDealBreakers.js
+// Rebuild the compatibility index afterwards (node jobs/compatibilityIndex.js --rebuild).
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Old deal-breaker -> catalog preference that rules out the same people
+const DEAL_BREAKERS = {
+    smoking: { key: 'smoking', accepts: ['never'] },
+    hasKids: { key: 'hasKids', accepts: ['no'] },
+    pets: { key: 'pets', accepts: ['none'] }
+};
+
+const toAttributes = (user) => {
+    const attributes = {};
+    if (typeof user.hasKids === 'boolean') attributes.hasKids = user.hasKids ? 'yes' : 'no';
+    // The old flags don't say which pets or how often, only that the answer isn't "none" / "never"
+    if (typeof user.hasPets === 'boolean') attributes.pets = user.hasPets ? 'other' : 'none';
+    if (user.lifestyle && user.lifestyle.smoking !== undefined) {
+        attributes.smoking = user.lifestyle.smoking ? 'regularly' : 'never';
+    }
+    return attributes;
+};
+
+const run = async () => {
+    let migrated = 0;
+    const cursor = User.find({
+        $or: [
+            { 'dealBreakers.smoking': true },
+            { 'dealBreakers.hasKids': true },
+            { 'dealBreakers.pets': true },
+            { hasKids: { $type: 'bool' } },
+            { hasPets: { $type: 'bool' } },
+            { 'lifestyle.smoking': { $exists: true } }
+        ]
+    }).select('dealBreakers hasKids hasPets lifestyle attributes partnerPreferences').lean().cursor();
+
+    for await (const user of cursor) {
+        const $set = {};
+
+        Object.entries(toAttributes(user)).forEach(([key, value]) => {
+            if (!user.attributes || user.attributes[key] == null) $set[`attributes.${key}`] = value;
+        });
+        Object.entries(DEAL_BREAKERS).forEach(([oldKey, { key, accepts }]) => {
+            if (!user.dealBreakers || !user.dealBreakers[oldKey]) return;
+            if (user.partnerPreferences && user.partnerPreferences[key]) return;
+            $set[`partnerPreferences.${key}`] = { accepts, importance: 'dealbreaker' };
+        });
+
+        if (Object.keys($set).length) {
+            await User.updateOne({ _id: user._id }, { $set });
+            migrated++;
+        }
+    }
+
+    console.log(`Migrated deal-breakers for ${migrated} user(s)`);
+    return migrated;
+};
+
+if (require.main === module) {
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(run)
+        .catch(error => {
+            console.error('Deal-breaker migration failed:', error);
+            process.exitCode = 1;
+        })
+        .finally(() => mongoose.disconnect());
+}
+
+module.exports = run;
@@ -0,0 +1,258 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Revenue = require('../models/Revenue');
+const SafetyReport = require('../models/SafetyReport');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const TwoFactor = require('../models/TwoFactor');
+const PhoneVerification = require('../models/PhoneVerification');
+const VerificationToken = require('../models/VerificationToken');
+const AccountDeletion = require('../models/AccountDeletion');
+const Referral = require('../models/Referral');
+const ReferralCode = require('../models/ReferralCode');
+const CampaignGrant = require('../models/CampaignGrant');
+const Passkey = require('../models/Passkey');
+const ActionStats = require('../models/ActionStats');
+const Notification = require('../models/Notification');
+const DailyUsage = require('../models/DailyUsage');
+const Block = require('../models/Block');
+const Boost = require('../models/Boost');
+const Exposure = require('../models/Exposure');
+const SessionService = require('./SessionService');
+const CompatibilityIndexService = require('./CompatibilityIndexService');
+const { compatibilityEngine } = require('./CompatibilityEngine');
+const { pseudonymize, logError } = require('../utils/helpers');
+
+// Profile fields removed when an account is purged. Ban and subscription fields are
+// kept on the pseudonymized record for legal and accounting reasons.
+const PERSONAL_FIELDS = [
+    'password', 'dateOfBirth', 'gender', 'location', 'photos', 'bio', 'phoneNumber',
+    'personalityTraits', 'personalityType', 'interests', 'values', 'hobbies', 'lifestyle',
+    'dealBreakers', 'preferences', 'lookingFor', 'aiInsights', 'referredBy', 'hasKids', 'hasPets',
+    'timezone', 'lastAction', 'travel', 'attributes', 'partnerPreferences'
+];
+
+// Reports the user filed that led to action against someone else are evidence for that ban
+const RETAINED_REPORT_STATUSES = ['resolved_banned', 'resolved_warning'];
+
+class AccountService {
+    constructor() {
+        this.sessionService = new SessionService();
+        this.compatibilityIndexService = new CompatibilityIndexService();
+        this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+    }
+
+    async exportData(userId) {
+        const [user, matches, payments, reportsFiled, reportsAbout, sessions, loginAttempts, twoFactor, deletion, referralCode, referrals, campaignGrants, passkeys, blocks, boosts, notifications, dailyUsage, exposure] = await Promise.all([
+            User.findById(userId).select('-password').lean(),
+            // Only records the user acted on. The others would show who liked, passed on or
+            // blocked them, and likes received are a paid feature.
+            Match.find({
+                $or: [
+                    { user1: userId, user1Action: { $ne: null } },
+                    { user2: userId, user2Action: { $ne: null } }
+                ]
+            }).select('user1 user2 user1Action user2Action status matchedAt compatibilityScore createdAt').lean(),
+            Revenue.find({ userId }).lean(),
+            SafetyReport.find({ reportedBy: userId }).select('-adminNotes -processedBy').lean(),
+            SafetyReport.find({ reportedUser: userId }).select('reason status createdAt').lean(),
+            Session.find({ user: userId }).select('-refreshTokenHash').lean(),
+            LoginAttempt.find({ user: userId }).lean(),
+            TwoFactor.findOne({ user: userId, enabled: true }).select('enabledAt').lean(),
+            AccountDeletion.findOne({ user: userId, status: 'scheduled' }).lean(),
+            ReferralCode.findOne({ user: userId }).lean(),
+            Referral.find({ referrer: userId }).select('status createdAt rewardedAt referrerReward').lean(),
+            CampaignGrant.find({ user: userId }).populate('campaign', 'name').lean(),
+            Passkey.find({ user: userId }).select('name deviceType createdAt lastUsedAt').lean(),
+            Block.find({ blocker: userId }).select('blocked createdAt').lean(),
+            Boost.find({ user: userId }).select('source startsAt endsAt impressions report').lean(),
+            Notification.find({ user: userId }).select('type actor match boost readAt createdAt').lean(),
+            DailyUsage.find({ user: userId }).select('date deckServed likes superLikes').lean(),
+            Exposure.find({ user: userId }).select('date impressions').lean()
+        ]);
+
+        return {
+            format: 'soulmate-connect-export/v1',
+            exportedAt: new Date(),
+            profile: user,
+            // The other side's action only shows through `matched`; an unmatch or block after
+            // matching isn't distinguished
+            matches: matches.map(match => {
+                const isUser1 = match.user1.toString() === userId.toString();
+                const matched = match.status === 'mutual' || !!match.matchedAt;
+                const compatibilityScore = compatibilityEngine.shareableScore(match.compatibilityScore);
+                return {
+                    id: match._id,
+                    otherUser: isUser1 ? match.user2 : match.user1,
+                    yourAction: isUser1 ? match.user1Action : match.user2Action,
+                    matched,
+                    matchedAt: matched ? match.matchedAt : null,
+                    compatibilityScore,
+                    matchType: compatibilityScore == null ? null : compatibilityEngine.matchType(compatibilityScore),
+                    createdAt: match.createdAt
+                };
+            }),
+            payments,
+            boosts,
+            notifications,
+            activity: {
+                dailyUsage,
+                // Times your profile was shown in other people's decks, per UTC day
+                profileImpressions: exposure
+            },
+            promotions: campaignGrants.map(grant => ({
+                campaign: grant.campaign ? grant.campaign.name : null,
+                plan: grant.plan,
+                grantedAt: grant.createdAt,
+                expiresAt: grant.expiresAt
+            })),
+            safety: {
+                reportsFiled,
+                // Reporter identities are withheld to protect the people who filed them
+                reportsAboutYou: reportsAbout,
+                // Only blocks you made; who blocked you is not disclosed
+                blocked: blocks.map(block => ({ user: block.blocked, blockedAt: block.createdAt }))
+            },
+            security: {
+                sessions,
+                loginAttempts,
+                passkeys,
+                twoFactorEnabled: !!twoFactor,
+                twoFactorEnabledAt: twoFactor ? twoFactor.enabledAt : null
+            },
+            referrals: {
+                code: referralCode ? referralCode.code : null,
+                referred: referrals
+            },
+            pendingDeletion: deletion ? { scheduledFor: deletion.scheduledFor } : null
+        };
+    }
+
+    // Hides the account immediately and purges it after the grace period
+    async requestDeletion(user, reason, currentSessionId) {
+        const existing = await AccountDeletion.findOne({ user: user._id, status: 'scheduled' });
+        if (existing) return existing;
+
+        const deletion = await AccountDeletion.create({
+            user: user._id,
+            reason,
+            scheduledFor: new Date(Date.now() + this.gracePeriodDays * 24 * 60 * 60 * 1000)
+        });
+
+        await User.findByIdAndUpdate(user._id, { isActive: false });
+        await this.sessionService.revokeAllSessions(user._id, 'logout_all', currentSessionId);
+
+        // Stop renewals now; the subscription is cancelled outright at purge time
+        if (user.subscription && user.subscription.stripeSubscriptionId) {
+            await stripe.subscriptions.update(user.subscription.stripeSubscriptionId, { cancel_at_period_end: true });
+        }
+
+        return deletion;
+    }
+
+    async cancelDeletion(user) {
+        const deletion = await AccountDeletion.findOneAndUpdate(
+            { user: user._id, status: 'scheduled' },
+            { status: 'cancelled', cancelledAt: new Date() },
+            { new: true }
+        );
+        if (!deletion) return null;
+
+        await User.findByIdAndUpdate(user._id, { isActive: true });
+
+        if (user.subscription && user.subscription.stripeSubscriptionId) {
+            await stripe.subscriptions.update(user.subscription.stripeSubscriptionId, { cancel_at_period_end: false });
+        }
+
+        return deletion;
+    }
+
+    async getPendingDeletion(userId) {
+        return await AccountDeletion.findOne({ user: userId, status: 'scheduled' });
+    }
+
+    async purgeDueAccounts() {
+        const due = await AccountDeletion.find({ status: 'scheduled', scheduledFor: { $lte: new Date() } });
+        let purged = 0;
+
+        for (const deletion of due) {
+            try {
+                await this.purgeAccount(deletion.user);
+                deletion.status = 'completed';
+                deletion.completedAt = new Date();
+                deletion.reason = undefined;
+                await deletion.save();
+                purged++;
+            } catch (error) {
+                logError(error, { context: 'account_purge', userId: deletion.user });
+            }
+        }
+
+        return purged;
+    }
+
+    async purgeAccount(userId) {
+        const user = await User.findById(userId);
+        if (!user) return;
+
+        await this.cancelStripeSubscription(user);
+
+        await Promise.all([
+            Match.deleteMany({ $or: [{ user1: userId }, { user2: userId }] }),
+            SafetyReport.deleteMany({ reportedBy: userId, status: { $nin: RETAINED_REPORT_STATUSES } }),
+            Session.deleteMany({ user: userId }),
+            LoginAttempt.deleteMany({ $or: [{ user: userId }, { email: user.email }] }),
+            TwoFactor.deleteMany({ user: userId }),
+            Passkey.deleteMany({ user: userId }),
+            PhoneVerification.deleteMany({ user: userId }),
+            VerificationToken.deleteMany({ user: userId }),
+            ReferralCode.deleteMany({ user: userId }),
+            this.compatibilityIndexService.removeUser(userId),
+            ActionStats.deleteMany({ user: userId }),
+            Notification.deleteMany({ $or: [{ user: userId }, { actor: userId }] }),
+            DailyUsage.deleteMany({ user: userId }),
+            Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+            Boost.deleteMany({ user: userId }),
+            Exposure.deleteMany({ user: userId }),
+            // Rewarded referrals back premium time already granted, so those are kept
+            Referral.deleteMany({ $or: [{ referrer: userId }, { referred: userId }], status: { $ne: 'rewarded' } })
+        ]);
+
+        // The user document stays as a pseudonymous tombstone so Revenue and
+        // SafetyReport references (payments, bans) remain valid
+        const pseudonym = pseudonymize(user._id);
+        const update = {
+            $set: {
+                firstName: 'Deleted',
+                lastName: 'User',
+                email: `deleted+${pseudonym.slice(0, 16)}@deleted.invalid`,
+                isActive: false,
+                isDeleted: true,
+                deletedAt: new Date()
+            },
+            $unset: PERSONAL_FIELDS.reduce((fields, field) => ({ ...fields, [field]: '' }), {})
+        };
+
+        // Lets registration refuse a banned person signing up again with the same email
+        if (user.isBanned) {
+            update.$set.bannedEmailHash = pseudonymize(user.email);
+        }
+
+        await User.updateOne({ _id: userId }, update);
+    }
+
+    async cancelStripeSubscription(user) {
+        const subscriptionId = user.subscription && user.subscription.stripeSubscriptionId;
+        if (!subscriptionId) return;
+
+        try {
+            await stripe.subscriptions.cancel(subscriptionId);
+        } catch (error) {
+            // Already cancelled on Stripe's side
+            if (error.code !== 'resource_missing') throw error;
+        }
+    }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Block = require('../models/Block');
+const { SafetyService } = require('./AdminService');
+
+// A block works in both directions: neither person sees the other anywhere in the app
+class BlockService {
+    constructor() {
+        this.safetyService = new SafetyService();
+    }
+
+    // `report` ({ reason, description, evidence }) optionally files a SafetyReport in the same call
+    async block(blocker, blockedId, { report } = {}) {
+        if (blocker._id.toString() === String(blockedId)) {
+            return { success: false, reason: 'self_block' };
+        }
+
+        const target = /^[a-f\d]{24}$/i.test(String(blockedId)) && await User.findById(blockedId).select('isDeleted');
+        if (!target || target.isDeleted) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        await Block.updateOne(
+            { blocker: blocker._id, blocked: target._id },
+            { $setOnInsert: { blocker: blocker._id, blocked: target._id } },
+            { upsert: true }
+        );
+
+        // Ends any match between them; the records stay so neither reappears in discover
+        await Match.updateMany(
+            { $or: this.pairFilter(blocker._id, target._id), status: { $ne: 'unmatched' } },
+            { status: 'unmatched', unmatchedBy: blocker._id, unmatchedAt: new Date() }
+        );
+
+        let safetyReport = null;
+        if (report) {
+            safetyReport = await this.safetyService.reportUser(
+                blocker._id, target._id, report.reason, report.evidence, report.description
+            );
+            await Block.updateOne({ blocker: blocker._id, blocked: target._id }, { report: safetyReport._id });
+        }
+
+        return { success: true, report: safetyReport };
+    }
+
+    async unblock(blockerId, blockedId) {
+        if (!/^[a-f\d]{24}$/i.test(String(blockedId))) return false;
+
+        const result = await Block.deleteOne({ blocker: blockerId, blocked: blockedId });
+        return result.deletedCount > 0;
+    }
+
+    async listBlocked(userId) {
+        const blocks = await Block.find({ blocker: userId })
+            .populate('blocked', 'firstName photos')
+            .sort({ createdAt: -1 });
+
+        return blocks.map(block => ({
+            user: block.blocked,
+            reported: !!block.report,
+            blockedAt: block.createdAt
+        }));
+    }
+
+    // Everyone this user blocked or was blocked by
+    async getBlockedUserIds(userId) {
+        const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] }).select('blocker blocked').lean();
+        return blocks.map(block => (block.blocker.toString() === userId.toString() ? block.blocked : block.blocker));
+    }
+
+    async isBlocked(userId, otherUserId) {
+        return !!(await Block.exists({
+            $or: [
+                { blocker: userId, blocked: otherUserId },
+                { blocker: otherUserId, blocked: userId }
+            ]
+        }));
+    }
+
+    pairFilter(userId, otherUserId) {
+        return [
+            { user1: userId, user2: otherUserId },
+            { user1: otherUserId, user2: userId }
+        ];
+    }
+}
+
+module.exports = BlockService;
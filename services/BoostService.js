@@ -0,0 +1,228 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const Match = require('../models/Match');
+const Boost = require('../models/Boost');
+const boostsConfig = require('../config/boosts');
+const EntitlementService = require('./EntitlementService');
+const NotificationService = require('./NotificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALLOWANCE_PERIOD_DAYS = 30;
+const LIKE_ACTIONS = ['like', 'super_like'];
+
+class BoostService {
+    constructor(config = boostsConfig) {
+        this.config = config;
+        this.entitlementService = new EntitlementService();
+        this.notificationService = new NotificationService();
+    }
+
+    // Plan boosts left in the rolling 30-day period, plus purchased or rewarded credits
+    async getStatus(user) {
+        const { monthlyBoosts } = this.entitlementService.getPlan(user);
+        const [usedAllowance, active, credits] = await Promise.all([
+            Boost.countDocuments({
+                user: user._id,
+                source: 'allowance',
+                startsAt: { $gte: new Date(Date.now() - ALLOWANCE_PERIOD_DAYS * DAY_MS) }
+            }),
+            this.getActiveBoost(user._id),
+            User.findById(user._id).select('boostCredits').lean()
+        ]);
+
+        return {
+            active: active ? this.summarize(active) : null,
+            allowance: monthlyBoosts,
+            allowanceRemaining: Math.max(0, monthlyBoosts - usedAllowance),
+            credits: (credits && credits.boostCredits) || 0,
+            durationMinutes: this.config.durationMinutes,
+            priceCents: this.config.priceCents
+        };
+    }
+
+    async getActiveBoost(userId) {
+        const now = new Date();
+        return await Boost.findOne({ user: userId, startsAt: { $lte: now }, endsAt: { $gt: now } });
+    }
+
+    // Starts a boost now, using the plan allowance first and a credit otherwise. The user's
+    // boost slot (`boostActiveUntil`) is claimed first, so parallel requests can't start
+    // overlapping boosts or spend the allowance twice.
+    async activate(user) {
+        const startsAt = new Date();
+        const endsAt = new Date(startsAt.getTime() + this.config.durationMinutes * 60 * 1000);
+
+        const claimed = await User.updateOne(
+            { _id: user._id, $or: [{ boostActiveUntil: null }, { boostActiveUntil: { $lte: startsAt } }] },
+            { $set: { boostActiveUntil: endsAt } }
+        );
+        if (!claimed.modifiedCount) {
+            return { success: false, reason: 'already_active' };
+        }
+
+        let boost = null;
+        let source = 'allowance';
+        try {
+            const status = await this.getStatus(user);
+            if (status.active) {
+                return { success: false, reason: 'already_active' };
+            }
+
+            if (!status.allowanceRemaining) {
+                const spent = await User.updateOne({ _id: user._id, boostCredits: { $gt: 0 } }, { $inc: { boostCredits: -1 } });
+                if (!spent.modifiedCount) {
+                    return { success: false, reason: 'no_boosts' };
+                }
+                source = 'credit';
+            }
+
+            boost = await Boost.create({ user: user._id, source, startsAt, endsAt });
+            return { success: true, boost };
+        } finally {
+            if (!boost) {
+                await User.updateOne(
+                    { _id: user._id, boostActiveUntil: endsAt },
+                    { $set: { boostActiveUntil: null }, $inc: { boostCredits: source === 'credit' ? 1 : 0 } }
+                );
+            }
+        }
+    }
+
+    // Boosts that can still be given lifted deck placements, keyed by user id
+    async getLiftableBoosts(userIds) {
+        const now = new Date();
+        const boosts = await Boost.find({
+            user: { $in: userIds },
+            startsAt: { $lte: now },
+            endsAt: { $gt: now },
+            boostedImpressions: { $lt: this.config.maxBoostedImpressions }
+        }).select('user').lean();
+
+        return new Map(boosts.map(boost => [boost.user.toString(), boost._id]));
+    }
+
+    // Users with a liftable boost right now, so discover can include them even when they
+    // fall outside the usual candidate pool
+    async getBoostedUserIds(limit = 1000) {
+        const now = new Date();
+        const boosts = await Boost.find({
+            startsAt: { $lte: now },
+            endsAt: { $gt: now },
+            boostedImpressions: { $lt: this.config.maxBoostedImpressions }
+        }).select('user').limit(limit).lean();
+
+        return boosts.map(boost => boost.user);
+    }
+
+    // `cards` are newly served deck cards carrying `boostId` (and `boosted` when the card
+    // was lifted into a boost slot)
+    async recordImpressions(cards) {
+        const operations = cards.filter(card => card.boostId).map(card => ({
+            updateOne: {
+                filter: { _id: card.boostId },
+                update: { $inc: { impressions: 1, boostedImpressions: card.boosted ? 1 : 0 } }
+            }
+        }));
+
+        if (operations.length) {
+            await Boost.bulkWrite(operations, { ordered: false });
+        }
+    }
+
+    async createPurchase(user, quantity) {
+        const paymentIntent = await stripe.paymentIntents.create({
+            amount: this.config.priceCents * quantity,
+            currency: 'usd',
+            metadata: { userId: user._id.toString(), type: 'boost', quantity: String(quantity) }
+        });
+
+        return { clientSecret: paymentIntent.client_secret, quantity, amount: paymentIntent.amount };
+    }
+
+    // Called from the Stripe webhook. Returns false when this payment was already fulfilled,
+    // since Stripe may deliver the same event more than once.
+    async fulfilPurchase(paymentIntent) {
+        const quantity = parseInt(paymentIntent.metadata.quantity) || 1;
+        const result = await User.updateOne(
+            { _id: paymentIntent.metadata.userId, boostPayments: { $ne: paymentIntent.id } },
+            { $inc: { boostCredits: quantity }, $push: { boostPayments: paymentIntent.id } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    async listBoosts(userId, limit = 20) {
+        const boosts = await Boost.find({ user: userId }).sort({ startsAt: -1 }).limit(limit);
+        return boosts.map(boost => this.summarize(boost));
+    }
+
+    async getBoost(userId, boostId) {
+        if (!/^[a-f\d]{24}$/i.test(String(boostId))) return null;
+
+        const boost = await Boost.findOne({ _id: boostId, user: userId });
+        return boost ? this.summarize(boost) : null;
+    }
+
+    summarize(boost) {
+        return {
+            id: boost._id,
+            source: boost.source,
+            startsAt: boost.startsAt,
+            endsAt: boost.endsAt,
+            active: boost.startsAt <= new Date() && boost.endsAt > new Date(),
+            views: boost.impressions,
+            report: boost.reportedAt ? boost.report : null
+        };
+    }
+
+    // Writes the post-boost report for every boost that has ended and notifies the owner
+    async finalizeEndedBoosts(now = new Date()) {
+        const boosts = await Boost.find({ endsAt: { $lte: now }, reportedAt: null });
+
+        let reported = 0;
+        for (const boost of boosts) {
+            const report = await this.buildReport(boost);
+            const claimed = await Boost.updateOne({ _id: boost._id, reportedAt: null }, { report, reportedAt: now });
+            if (!claimed.modifiedCount) continue;
+
+            await this.notificationService.notifyBoostReport(boost);
+            reported++;
+        }
+
+        return reported;
+    }
+
+    // Extra views are the lifted placements; extra likes compare likes received during the
+    // boost against the user's recent rate over a window of the same length
+    async buildReport(boost) {
+        const duration = boost.endsAt - boost.startsAt;
+        const baselineStart = new Date(boost.startsAt.getTime() - this.config.baselineDays * DAY_MS);
+
+        const [likes, baselineLikes] = await Promise.all([
+            this.countLikesReceived(boost.user, boost.startsAt, boost.endsAt),
+            this.countLikesReceived(boost.user, baselineStart, boost.startsAt)
+        ]);
+        const expectedLikes = Math.round((baselineLikes * duration / (this.config.baselineDays * DAY_MS)) * 10) / 10;
+
+        return {
+            views: boost.impressions,
+            extraViews: boost.boostedImpressions,
+            likes,
+            expectedLikes,
+            extraLikes: Math.max(0, Math.round(likes - expectedLikes))
+        };
+    }
+
+    // Match records don't keep per-action timestamps, so a like is dated by the record's
+    // last update (which moves to the match time if the user liked back)
+    async countLikesReceived(userId, from, to) {
+        return await Match.countDocuments({
+            $or: [
+                { user2: userId, user1Action: { $in: LIKE_ACTIONS } },
+                { user1: userId, user2Action: { $in: LIKE_ACTIONS } }
+            ],
+            updatedAt: { $gte: from, $lt: to }
+        });
+    }
+}
+
+module.exports = BoostService;
@@ -0,0 +1,178 @@
+const Campaign = require('../models/Campaign');
+const CampaignGrant = require('../models/CampaignGrant');
+const SubscriptionService = require('./SubscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CampaignService {
+    constructor() {
+        this.subscriptionService = new SubscriptionService();
+    }
+
+    // Query matching campaigns that are currently running and still have room
+    runningFilter(now = new Date()) {
+        return {
+            status: 'active',
+            startsAt: { $lte: now },
+            $and: [
+                { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+                { $or: [{ cap: null }, { $expr: { $lt: ['$allocated', '$cap'] } }] }
+            ]
+        };
+    }
+
+    // Tries signup campaigns in priority order and returns the first grant, if any.
+    // A user gets at most one signup grant.
+    async allocateSignupGrant(userId) {
+        const campaigns = await Campaign.find({ trigger: 'signup', ...this.runningFilter() })
+            .sort({ priority: -1, createdAt: 1 });
+
+        for (const campaign of campaigns) {
+            const grant = await this.allocate(campaign, userId);
+            if (grant) return { grant, campaign };
+        }
+
+        return null;
+    }
+
+    async redeemCode(userId, code) {
+        const campaign = await Campaign.findOne({ trigger: 'promo_code', code: String(code).trim().toUpperCase() });
+        if (!campaign) {
+            return { success: false, reason: 'invalid_code' };
+        }
+
+        const alreadyRedeemed = await CampaignGrant.exists({ campaign: campaign._id, user: userId });
+        if (alreadyRedeemed) {
+            return { success: false, reason: 'already_redeemed' };
+        }
+
+        const grant = await this.allocate(campaign, userId);
+        if (!grant) {
+            return { success: false, reason: 'campaign_unavailable' };
+        }
+
+        return { success: true, grant, campaign };
+    }
+
+    // The $inc only succeeds while allocated < cap, so concurrent signups can never overshoot
+    async allocate(campaign, userId) {
+        const claimed = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, ...this.runningFilter() },
+            { $inc: { allocated: 1 } },
+            { new: true }
+        );
+        if (!claimed) return null;
+
+        let grant;
+        try {
+            grant = await CampaignGrant.create({
+                campaign: claimed._id,
+                user: userId,
+                plan: claimed.grant.plan,
+                expiresAt: new Date(Date.now() + claimed.grant.durationDays * DAY_MS)
+            });
+        } catch (error) {
+            // Give the slot back if the grant couldn't be recorded
+            await Campaign.updateOne({ _id: claimed._id }, { $inc: { allocated: -1 } });
+            if (error.code === 11000) return null;
+            throw error;
+        }
+
+        await this.subscriptionService.grantPremiumDays(userId, claimed.grant.durationDays, claimed.grant.plan);
+        return grant;
+    }
+
+    async isFoundingMember(userId) {
+        const founding = await Campaign.find({ foundingMember: true }).distinct('_id');
+        if (!founding.length) return false;
+
+        return !!(await CampaignGrant.exists({ user: userId, campaign: { $in: founding } }));
+    }
+
+    async createCampaign(data, adminId) {
+        return await Campaign.create({
+            name: data.name,
+            slug: data.slug,
+            description: data.description,
+            trigger: data.trigger,
+            code: data.trigger === 'promo_code' ? data.code : undefined,
+            grant: {
+                plan: data.plan || 'premium',
+                durationDays: data.durationDays
+            },
+            cap: data.cap === undefined ? null : data.cap,
+            startsAt: data.startsAt || new Date(),
+            endsAt: data.endsAt || null,
+            priority: data.priority || 0,
+            foundingMember: !!data.foundingMember,
+            createdBy: adminId
+        });
+    }
+
+    async updateCampaign(campaignId, changes) {
+        const campaign = await Campaign.findById(campaignId);
+        if (!campaign) throw new Error('Campaign not found');
+
+        if (changes.status) campaign.status = changes.status;
+        if (changes.endsAt !== undefined) campaign.endsAt = changes.endsAt;
+        if (changes.priority !== undefined) campaign.priority = changes.priority;
+        if (changes.cap !== undefined) {
+            if (changes.cap !== null && changes.cap < campaign.allocated) {
+                throw new Error(`Cap cannot be lower than the ${campaign.allocated} grants already allocated`);
+            }
+            campaign.cap = changes.cap;
+        }
+
+        await campaign.save();
+        return this.summarize(campaign);
+    }
+
+    async listCampaigns() {
+        const campaigns = await Campaign.find().sort({ createdAt: -1 });
+        return campaigns.map(campaign => this.summarize(campaign));
+    }
+
+    async getCampaignStats(campaignId) {
+        const campaign = await Campaign.findById(campaignId);
+        if (!campaign) throw new Error('Campaign not found');
+
+        const grantsByDay = await CampaignGrant.aggregate([
+            { $match: { campaign: campaign._id } },
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]);
+
+        return {
+            ...this.summarize(campaign),
+            grantsByDay: grantsByDay.map(day => ({ date: day._id, count: day.count }))
+        };
+    }
+
+    summarize(campaign) {
+        const now = new Date();
+        const running = campaign.status === 'active' &&
+            campaign.startsAt <= now &&
+            (!campaign.endsAt || campaign.endsAt > now) &&
+            (campaign.cap === null || campaign.allocated < campaign.cap);
+
+        return {
+            id: campaign._id,
+            name: campaign.name,
+            slug: campaign.slug,
+            trigger: campaign.trigger,
+            code: campaign.code,
+            grant: campaign.grant,
+            cap: campaign.cap,
+            allocated: campaign.allocated,
+            remaining: campaign.cap === null ? null : Math.max(0, campaign.cap - campaign.allocated),
+            startsAt: campaign.startsAt,
+            endsAt: campaign.endsAt,
+            priority: campaign.priority,
+            status: campaign.status,
+            foundingMember: campaign.foundingMember,
+            running
+        };
+    }
+}
+
+module.exports = CampaignService;
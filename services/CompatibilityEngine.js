@@ -0,0 +1,293 @@
+const compatibilityConfig = require('../config/compatibility');
+const preferenceCatalog = require('../config/preferenceCatalog');
+const { calculateDistance, getCoordinates } = require('../utils/helpers');
+
+// A component scores one aspect of a pair:
+//   { name, score(user1, user2, context) -> { score, veto, details } | null }
+// `score` is 0-100. Returning null means the component doesn't apply to this pair
+// (e.g. one side has no interests listed) and its weight is left out. `veto: true`
+// forces the overall score to 0. `details` must never contain the other person's raw answers.
+// An optional `explain(details)` returns the part of `details` that is safe to show either
+// person; components without one are explained by score alone. `bandScore: true` shows the
+// component's score in banded steps, for scores that alone could give away an answer.
+
+// Similarity is shown in steps of 25 so a precise value, combined with your own answer,
+// can't be used to work out the other person's
+const ALIGNMENT_LEVELS = [
+    { minSimilarity: 100, label: 'very similar' },
+    { minSimilarity: 75, label: 'similar' },
+    { minSimilarity: 50, label: 'somewhat different' },
+    { minSimilarity: 0, label: 'very different' }
+];
+
+const bandSimilarity = (similarity) => Math.round(similarity / 25) * 25;
+const alignmentLabel = (banded) => ALIGNMENT_LEVELS.find(level => banded >= level.minSimilarity).label;
+
+const personalityComponent = {
+    name: 'personality',
+    // With one shared trait the score is exactly 100 - |difference|
+    bandScore: true,
+    score(user1, user2) {
+        const traits1 = user1.personalityTraits || {};
+        const traits2 = user2.personalityTraits || {};
+        const traits = {};
+        let weighted = 0;
+        let totalWeight = 0;
+
+        for (const [trait, weight] of Object.entries(compatibilityConfig.personalityWeights)) {
+            if (typeof traits1[trait] !== 'number' || typeof traits2[trait] !== 'number') continue;
+
+            const similarity = Math.max(0, 100 - Math.abs(traits1[trait] - traits2[trait]));
+            traits[trait] = { weight, similarity };
+            weighted += similarity * weight;
+            totalWeight += weight;
+        }
+
+        if (!totalWeight) return null;
+
+        // Trait weights are renormalized so traits one side skipped don't count against the pair
+        Object.values(traits).forEach(entry => {
+            entry.contribution = (entry.similarity * entry.weight) / totalWeight;
+        });
+
+        return { score: weighted / totalWeight, details: { traits } };
+    },
+    // Contribution is in personality-score points, recomputed from the banded similarity
+    explain({ traits }) {
+        const totalWeight = Object.values(traits).reduce((sum, entry) => sum + entry.weight, 0);
+        const explained = {};
+
+        Object.entries(traits).forEach(([trait, entry]) => {
+            const banded = bandSimilarity(entry.similarity);
+            explained[trait] = {
+                weight: entry.weight,
+                alignment: alignmentLabel(banded),
+                contribution: Math.round((banded * entry.weight / totalWeight) * 10) / 10
+            };
+        });
+
+        return { traits: explained };
+    }
+};
+
+const interestsComponent = {
+    name: 'interests',
+    score(user1, user2) {
+        const interests1 = user1.interests || [];
+        const interests2 = user2.interests || [];
+        if (!interests1.length || !interests2.length) return null;
+
+        const shared = interests1.filter(interest => interests2.includes(interest));
+        const total = new Set([...interests1, ...interests2]).size;
+
+        return { score: (shared.length / total) * 100, details: { shared } };
+    },
+    explain: (details) => details
+};
+
+const valuesComponent = {
+    name: 'values',
+    score(user1, user2) {
+        const values1 = user1.values || [];
+        const values2 = user2.values || [];
+        if (!values1.length || !values2.length) return null;
+
+        const shared = values1.filter(value => values2.includes(value));
+
+        return { score: (shared.length / Math.max(values1.length, values2.length)) * 100, details: { shared } };
+    },
+    explain: (details) => details
+};
+
+const lifestyleComponent = {
+    name: 'lifestyle',
+    // With one shared factor the score is exactly 100 - 20 * |difference|
+    bandScore: true,
+    score(user1, user2) {
+        const lifestyle1 = user1.lifestyle || {};
+        const lifestyle2 = user2.lifestyle || {};
+        const factors = {};
+
+        compatibilityConfig.lifestyleFactors.forEach(factor => {
+            if (typeof lifestyle1[factor] !== 'number' || typeof lifestyle2[factor] !== 'number') return;
+            factors[factor] = { similarity: Math.max(0, 100 - Math.abs(lifestyle1[factor] - lifestyle2[factor]) * 20) };
+        });
+
+        const similarities = Object.values(factors).map(entry => entry.similarity);
+        if (!similarities.length) return null;
+
+        return {
+            score: similarities.reduce((sum, similarity) => sum + similarity, 0) / similarities.length,
+            details: { factors }
+        };
+    },
+    // One step apart on the 1-5 scale still counts as aligned
+    explain({ factors }) {
+        const aligned = [];
+        const different = [];
+        Object.entries(factors).forEach(([factor, entry]) => {
+            (entry.similarity >= 80 ? aligned : different).push(factor);
+        });
+        return { aligned, different };
+    }
+};
+
+// Partner preferences from config/preferenceCatalog.js, checked in both directions. Each
+// preference missed costs the fixed penalty of its importance, so the levels stay apart
+// however many preferences apply; a missed deal-breaker vetoes the pair.
+const preferencesComponent = {
+    name: 'preferences',
+    score(user1, user2) {
+        const rules = [];
+        let penalty = 0;
+        let veto = false;
+
+        [[user1, user2, 'yours'], [user2, user1, 'theirs']].forEach(([owner, other, side]) => {
+            const preferences = owner.partnerPreferences || {};
+            const answers = other.attributes || {};
+
+            preferenceCatalog.items.forEach(item => {
+                const preference = preferences[item.key];
+                const importance = preference && preferenceCatalog.importance[preference.importance];
+                if (!importance || answers[item.key] == null) return;
+
+                const passed = (preference.accepts || []).includes(answers[item.key]);
+                rules.push({ key: item.key, side, importance: preference.importance, passed });
+                if (passed) return;
+
+                penalty += importance.penalty;
+                if (importance.veto) veto = true;
+            });
+        });
+
+        if (!rules.length) return null;
+
+        return { score: Math.max(0, 100 - penalty), veto, details: { rules } };
+    },
+    // Your own preferences item by item; the other person's only as a tally
+    explain({ rules }) {
+        const theirs = rules.filter(rule => rule.side === 'theirs');
+        return {
+            yours: rules.filter(rule => rule.side === 'yours')
+                .map(({ key, importance, passed }) => ({ key, importance, passed })),
+            theirs: { checked: theirs.length, passed: theirs.filter(rule => rule.passed).length }
+        };
+    }
+};
+
+const distanceComponent = {
+    name: 'distance',
+    score(user1, user2, context) {
+        const from = getCoordinates(context.location || user1.location);
+        const to = getCoordinates(user2.location);
+        if (!from || !to) return null;
+
+        const miles = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+        const maxDistance = (user1.preferences && user1.preferences.maxDistance) || compatibilityConfig.defaultMaxDistanceMiles;
+
+        // 100 next door, falling to 50 at the edge of the search radius and 0 at twice that
+        return {
+            score: Math.max(0, 100 - 50 * (miles / maxDistance)),
+            details: { miles: Math.round(miles) }
+        };
+    },
+    explain: (details) => details
+};
+
+class CompatibilityEngine {
+    constructor(config = compatibilityConfig) {
+        this.config = config;
+        this.components = new Map();
+    }
+
+    register(component, weight) {
+        this.components.set(component.name, component);
+        if (weight !== undefined) {
+            this.config = { ...this.config, weights: { ...this.config.weights, [component.name]: weight } };
+        }
+        return this;
+    }
+
+    // Returns { score, veto, breakdown, version }. Scoring is synchronous and deterministic
+    // so it can run over whole candidate pools; AI insights are layered on separately.
+    score(user1, user2, context = {}) {
+        const breakdown = {};
+        let weighted = 0;
+        let totalWeight = 0;
+        let veto = false;
+
+        for (const [name, component] of this.components) {
+            const weight = this.config.weights[name] || 0;
+            const result = component.score(user1, user2, context);
+            if (!result) continue;
+
+            breakdown[name] = { score: Math.round(result.score), weight, details: result.details };
+            if (result.veto) veto = true;
+
+            weighted += result.score * weight;
+            totalWeight += weight;
+        }
+
+        const score = veto || !totalWeight ? 0 : Math.round(weighted / totalWeight);
+
+        // Contribution = points this component added to the final score
+        Object.values(breakdown).forEach(entry => {
+            entry.contribution = totalWeight && !veto ? Math.round((entry.score * entry.weight / totalWeight) * 10) / 10 : 0;
+        });
+
+        return { score, veto, breakdown, version: this.config.version };
+    }
+
+    // Deterministic, shareable account of score(): each component's score, weight and
+    // points contributed, plus whatever detail the component marks safe to show. When a
+    // banded component applies, the total is banded too, since subtracting the exact
+    // contributions of the others from an exact total would give its score back.
+    explain(user1, user2, context = {}) {
+        const result = this.score(user1, user2, context);
+        const totalWeight = Object.values(result.breakdown).reduce((sum, entry) => sum + entry.weight, 0);
+        const banded = Object.keys(result.breakdown).some(name => this.components.get(name).bandScore);
+        const score = banded ? this.shareableScore(result.score) : result.score;
+        const components = {};
+
+        Object.entries(result.breakdown).forEach(([name, entry]) => {
+            const component = this.components.get(name);
+            const score = component.bandScore ? bandSimilarity(entry.score) : entry.score;
+            components[name] = {
+                score,
+                weight: entry.weight,
+                contribution: component.bandScore && entry.contribution
+                    ? Math.round((score * entry.weight / totalWeight) * 10) / 10
+                    : entry.contribution,
+                ...(component.explain && entry.details ? component.explain(entry.details) : {})
+            };
+        });
+
+        return {
+            score,
+            matchType: this.matchType(score),
+            veto: result.veto,
+            components,
+            version: result.version
+        };
+    }
+
+    // An overall score as shown to users outside explain(), where it isn't known which
+    // components applied: always banded
+    shareableScore(score) {
+        return score == null ? score : bandSimilarity(score);
+    }
+
+    matchType(score) {
+        return this.config.matchTypes.find(matchType => score >= matchType.minScore).type;
+    }
+}
+
+const compatibilityEngine = new CompatibilityEngine()
+    .register(personalityComponent)
+    .register(interestsComponent)
+    .register(valuesComponent)
+    .register(lifestyleComponent)
+    .register(preferencesComponent)
+    .register(distanceComponent);
+
+module.exports = { CompatibilityEngine, compatibilityEngine };
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const CompatibilityScore = require('../models/CompatibilityScore');
+const CompatibilityIndexState = require('../models/CompatibilityIndexState');
+const compatibilityConfig = require('../config/compatibility');
+const { compatibilityEngine } = require('./CompatibilityEngine');
+const { getCoordinates, logError } = require('../utils/helpers');
+
+// Profile fields the engine reads. A change to any of them means the user's pairs are out of date.
+const SCORING_FIELDS = [
+    'personalityTraits', 'interests', 'values', 'lifestyle', 'attributes',
+    'partnerPreferences', 'location', 'preferences.maxDistance'
+];
+const SCORING_SELECT = 'personalityTraits interests values lifestyle attributes partnerPreferences location preferences';
+
+const ELIGIBLE_USERS = {
+    isActive: true,
+    isBanned: { $ne: true },
+    suspendedForReview: { $ne: true },
+    isDeleted: { $ne: true }
+};
+
+const EARTH_RADIUS_MILES = 3959;
+const BATCH_SIZE = 500;
+
+class CompatibilityIndexService {
+    constructor(config = compatibilityConfig) {
+        this.config = config;
+    }
+
+    profileHash(user) {
+        const values = SCORING_FIELDS.map(field => field.split('.').reduce((value, key) => (value == null ? value : value[key]), user));
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([this.config.version, this.config.weights, values]))
+            .digest('hex');
+    }
+
+    // Recomputes every indexed pair involving this user, in both directions
+    async indexUser(user) {
+        const computedAt = new Date();
+        const pool = await this.candidatePool(user);
+
+        const operations = [];
+        pool.forEach(candidate => {
+            operations.push(this.upsertOperation(user, candidate, computedAt));
+            operations.push(this.upsertOperation(candidate, user, computedAt));
+        });
+        if (operations.length) {
+            await CompatibilityScore.bulkWrite(operations, { ordered: false });
+        }
+
+        // This user's own rows that fell out of the pool (e.g. after a move) weren't rewritten
+        // above. Discover scores those pairs live, so they can go.
+        await CompatibilityScore.deleteMany({ user: user._id, computedAt: { $lt: computedAt } });
+        await this.rescoreReverseRows(user, computedAt);
+
+        await CompatibilityIndexState.updateOne(
+            { user: user._id },
+            { profileHash: this.profileHash(user), stale: false, pairs: pool.length, indexedAt: computedAt },
+            { upsert: true }
+        );
+
+        return pool.length;
+    }
+
+    // Rows other users own about this user come from their pools, which can reach further
+    // than this user's. They are rescored in place rather than deleted, so this user doesn't
+    // drop out of those decks.
+    async rescoreReverseRows(user, computedAt) {
+        const rows = await CompatibilityScore.find({ candidate: user._id, computedAt: { $lt: computedAt } })
+            .select('user')
+            .lean();
+
+        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+            const owners = await User.find({ _id: { $in: rows.slice(i, i + BATCH_SIZE).map(row => row.user) } })
+                .select(SCORING_SELECT)
+                .lean();
+            const operations = owners.map(owner => this.upsertOperation(owner, user, computedAt));
+            if (operations.length) {
+                await CompatibilityScore.bulkWrite(operations, { ordered: false });
+            }
+        }
+    }
+
+    async candidatePool(user) {
+        const coordinates = getCoordinates(user.location);
+        if (!coordinates) return [];
+
+        const maxDistance = (user.preferences && user.preferences.maxDistance) || 0;
+        const radius = Math.max(this.config.index.poolRadiusMiles, maxDistance);
+
+        return await User.find({
+            ...ELIGIBLE_USERS,
+            _id: { $ne: user._id },
+            location: { $geoWithin: { $centerSphere: [[coordinates.lng, coordinates.lat], radius / EARTH_RADIUS_MILES] } }
+        })
+            .select(SCORING_SELECT)
+            .limit(this.config.index.poolSize)
+            .lean();
+    }
+
+    upsertOperation(user, candidate, computedAt) {
+        return {
+            updateOne: {
+                filter: { user: user._id, candidate: candidate._id },
+                update: { $set: this.toRow(compatibilityEngine.score(user, candidate), computedAt) },
+                upsert: true
+            }
+        };
+    }
+
+    toRow(result, computedAt) {
+        const distance = result.breakdown.distance;
+        return {
+            score: result.score,
+            veto: result.veto,
+            distanceMiles: distance ? distance.details.miles : null,
+            version: result.version,
+            computedAt
+        };
+    }
+
+    // Scores of `candidates` from `user`'s point of view, keyed by candidate id. Pairs
+    // missing from the index are scored live, so every candidate gets a score and the deck
+    // stays the same between pages; the work is bounded by the caller's candidate pool, not
+    // by time. Live scores are written back until the write-back budget is spent; the rest
+    // wait for the index job.
+    async getScores(user, candidates) {
+        const rows = await CompatibilityScore.find({
+            user: user._id,
+            candidate: { $in: candidates.map(candidate => candidate._id) },
+            version: this.config.version
+        }).lean();
+        const scores = new Map(rows.map(row => [row.candidate.toString(), row]));
+
+        const deadline = Date.now() + this.config.index.writeBackBudgetMs;
+        const computedAt = new Date();
+        const operations = [];
+
+        for (const candidate of candidates) {
+            if (scores.has(candidate._id.toString())) continue;
+
+            const row = this.toRow(compatibilityEngine.score(user, candidate), computedAt);
+            scores.set(candidate._id.toString(), row);
+            if (Date.now() > deadline) continue;
+
+            operations.push({
+                updateOne: {
+                    filter: { user: user._id, candidate: candidate._id },
+                    update: { $set: row },
+                    upsert: true
+                }
+            });
+        }
+
+        if (operations.length) {
+            await CompatibilityScore.bulkWrite(operations, { ordered: false });
+        }
+
+        return scores;
+    }
+
+    async markStale(userId) {
+        await CompatibilityIndexState.updateOne({ user: userId }, { stale: true }, { upsert: true });
+    }
+
+    // Called after a user edits any scoring field. The user is flagged first so the
+    // next index run still picks them up if the immediate recompute fails.
+    async onProfileUpdated(userId) {
+        await this.markStale(userId);
+
+        User.findById(userId).select(SCORING_SELECT).lean()
+            .then(user => user && this.indexUser(user))
+            .catch(error => logError(error, { context: 'compatibility_index', userId }));
+    }
+
+    // Incremental pass: reindexes users who are flagged stale, were never indexed, or whose
+    // scoring fields no longer match the indexed profile hash
+    async refresh() {
+        let checked = 0;
+        let indexed = 0;
+        let batch = [];
+
+        const cursor = User.find(ELIGIBLE_USERS).select(SCORING_SELECT).lean().cursor();
+        for await (const user of cursor) {
+            batch.push(user);
+            if (batch.length === BATCH_SIZE) {
+                indexed += await this.refreshBatch(batch);
+                checked += batch.length;
+                batch = [];
+            }
+        }
+        if (batch.length) {
+            indexed += await this.refreshBatch(batch);
+            checked += batch.length;
+        }
+
+        return { checked, indexed };
+    }
+
+    async refreshBatch(users) {
+        const states = await CompatibilityIndexState.find({ user: { $in: users.map(user => user._id) } }).lean();
+        const stateByUser = new Map(states.map(state => [state.user.toString(), state]));
+
+        let indexed = 0;
+        for (const user of users) {
+            const state = stateByUser.get(user._id.toString());
+            if (state && state.indexedAt && !state.stale && state.profileHash === this.profileHash(user)) continue;
+
+            await this.indexUser(user);
+            indexed++;
+        }
+        return indexed;
+    }
+
+    async rebuild() {
+        await CompatibilityScore.deleteMany({});
+        await CompatibilityIndexState.deleteMany({});
+        return await this.refresh();
+    }
+
+    async removeUser(userId) {
+        await Promise.all([
+            CompatibilityScore.deleteMany({ $or: [{ user: userId }, { candidate: userId }] }),
+            CompatibilityIndexState.deleteMany({ user: userId })
+        ]);
+    }
+
+    async getFreshness() {
+        const [eligibleUsers, indexedUsers, staleUsers, pairs, outdatedPairs, oldest, newest] = await Promise.all([
+            User.countDocuments(ELIGIBLE_USERS),
+            CompatibilityIndexState.countDocuments({ indexedAt: { $ne: null } }),
+            CompatibilityIndexState.countDocuments({ stale: true }),
+            CompatibilityScore.estimatedDocumentCount(),
+            CompatibilityScore.countDocuments({ version: { $ne: this.config.version } }),
+            CompatibilityIndexState.findOne({ indexedAt: { $ne: null } }).sort({ indexedAt: 1 }).select('indexedAt').lean(),
+            CompatibilityIndexState.findOne({ indexedAt: { $ne: null } }).sort({ indexedAt: -1 }).select('indexedAt').lean()
+        ]);
+
+        return {
+            version: this.config.version,
+            eligibleUsers,
+            indexedUsers,
+            neverIndexed: Math.max(0, eligibleUsers - indexedUsers),
+            staleUsers,
+            pairs,
+            // Rows from an older engine version are ignored by discover until rebuilt
+            outdatedPairs,
+            oldestIndexedAt: oldest ? oldest.indexedAt : null,
+            newestIndexedAt: newest ? newest.indexedAt : null
+        };
+    }
+}
+
+CompatibilityIndexService.SCORING_FIELDS = SCORING_FIELDS;
+
+module.exports = CompatibilityIndexService;
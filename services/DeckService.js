@@ -0,0 +1,287 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+const DailyUsage = require('../models/DailyUsage');
+const EntitlementService = require('./EntitlementService');
+const PreferenceService = require('./PreferenceService');
+const CompatibilityIndexService = require('./CompatibilityIndexService');
+const RankingService = require('./RankingService');
+const BlockService = require('./BlockService');
+const BoostService = require('./BoostService');
+const ExposureService = require('./ExposureService');
+const { compatibilityEngine } = require('./CompatibilityEngine');
+const rankingConfig = require('../config/ranking');
+const boostsConfig = require('../config/boosts');
+const { calculateAge, calculateDistance, getCoordinates, getDateKey, getNextMidnight, isValidTimeZone } = require('../utils/helpers');
+
+// Fields needed to filter and score a candidate and render their card
+const CANDIDATE_FIELDS = 'firstName dateOfBirth gender lookingFor preferences photos bio personalityType interests values ' +
+    'lifestyle personalityTraits attributes partnerPreferences location travel isPhoneVerified isVerified createdAt';
+
+class DeckService {
+    constructor() {
+        this.entitlementService = new EntitlementService();
+        this.preferenceService = new PreferenceService();
+        this.compatibilityIndexService = new CompatibilityIndexService();
+        this.rankingService = new RankingService();
+        this.blockService = new BlockService();
+        this.boostService = new BoostService();
+        this.exposureService = new ExposureService();
+        this.candidatePoolSize = parseInt(process.env.DECK_CANDIDATE_POOL || '500');
+        this.defaultPageSize = 10;
+        this.maxPageSize = 50;
+    }
+
+    // Deck order is (score desc, id asc), and the cursor is the last card's position in it,
+    // so pages never repeat or skip a card even when earlier cards have since been actioned.
+    async getDeck(user, { cursor, limit } = {}) {
+        const position = cursor ? this.decodeCursor(cursor) : null;
+        if (cursor && !position) {
+            return { success: false, reason: 'invalid_cursor' };
+        }
+
+        const pageSize = Math.min(Math.max(parseInt(limit) || this.defaultPageSize, 1), this.maxPageSize);
+        const dailyLimit = this.entitlementService.getPlan(user).dailyDeckSize;
+
+        // Incognito left on after a plan lapsed would keep hiding the user
+        if (user.preferences && user.preferences.incognito && !this.entitlementService.has(user, 'incognito')) {
+            await this.preferenceService.clearIncognito(user._id);
+        }
+        const timeZone = isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+        const date = getDateKey(timeZone);
+
+        const usage = await DailyUsage.findOne({ user: user._id, date }).select('deckServed');
+        const served = new Set(usage ? usage.deckServed.map(id => id.toString()) : []);
+
+        const ranked = (await this.rankCandidates(user))
+            .filter(card => !position || this.isAfter(card, position));
+
+        // Cards already served today can be shown again for free; only new ones use up the allowance
+        let allowance = dailyLimit - served.size;
+        let limitReached = false;
+        const page = [];
+        for (const card of ranked) {
+            if (page.length >= pageSize) break;
+            if (!served.has(card.id)) {
+                if (allowance <= 0) {
+                    limitReached = true;
+                    break;
+                }
+                allowance--;
+            }
+            page.push(card);
+        }
+
+        const newlyServed = page.filter(card => !served.has(card.id));
+        if (newlyServed.length) {
+            await DailyUsage.updateOne(
+                { user: user._id, date },
+                { $addToSet: { deckServed: { $each: newlyServed.map(card => card.user._id) } } },
+                { upsert: true }
+            );
+            await this.boostService.recordImpressions(newlyServed);
+            await this.exposureService.recordImpressions(newlyServed.map(card => card.user._id));
+        }
+
+        const hasMore = !limitReached && ranked.length > page.length;
+
+        return {
+            success: true,
+            profiles: page.map(card => this.toProfile(card)),
+            nextCursor: hasMore && page.length ? this.encodeCursor(page[page.length - 1]) : null,
+            dailyLimit,
+            remainingToday: Math.max(0, allowance),
+            resetsAt: getNextMidnight(timeZone)
+        };
+    }
+
+    async rankCandidates(user) {
+        const query = await this.candidateQuery(user);
+        const [pool, boostedUserIds] = await Promise.all([
+            User.find(query).select(CANDIDATE_FIELDS).sort({ lastActive: -1 }).limit(this.candidatePoolSize).lean(),
+            this.boostService.getBoostedUserIds()
+        ]);
+
+        // Boosted profiles join the pool even if they weren't recently active, but only
+        // when they pass the same query as everyone else
+        const inPool = new Set(pool.map(candidate => candidate._id.toString()));
+        const missingBoosted = boostedUserIds.filter(id => !inPool.has(id.toString()));
+        const boosted = missingBoosted.length
+            ? await User.find({ ...query, _id: { ...query._id, $in: missingBoosted } }).select(CANDIDATE_FIELDS).lean()
+            : [];
+        const candidates = [...pool, ...boosted];
+
+        const eligible = candidates.filter(candidate => this.preferenceService.isMutualMatch(user, candidate));
+        const scores = await this.compatibilityIndexService.getScores(user, eligible);
+
+        const cards = [];
+        for (const candidate of eligible) {
+            const id = candidate._id.toString();
+            const compatibility = scores.get(id);
+            if (!compatibility || compatibility.veto) continue;
+
+            cards.push({
+                id,
+                score: compatibility.score,
+                compatibility: compatibility.score,
+                distanceMiles: this.distanceMiles(user, candidate),
+                user: candidate
+            });
+        }
+
+        const ranked = await this.exposureService.adjust(await this.rankingService.rank(user, cards));
+
+        // People who super-liked this user move up the deck
+        const superLikedBy = await this.superLikedBy(user._id, cards.map(card => card.user._id));
+        ranked.forEach(card => {
+            card.superLikedYou = superLikedBy.has(card.id);
+            if (card.superLikedYou) card.score += rankingConfig.superLikeBoost;
+        });
+
+        const boosts = await this.boostService.getLiftableBoosts(ranked.map(card => card.user._id));
+        ranked.forEach(card => {
+            card.boostId = boosts.get(card.id);
+        });
+
+        return this.placeBoosts(ranked.sort(this.compareCards));
+    }
+
+    compareCards(a, b) {
+        return b.score - a.score || (a.id < b.id ? -1 : 1);
+    }
+
+    // Lifts boosted cards into every `slotInterval`-th position of the organic order, best
+    // first, so no stretch of the deck is more than one boost in `slotInterval`. The lifted
+    // card takes a score half a point above the card it lands before, which keeps the deck
+    // a plain (score, id) ordering for the cursor. Boosted cards already ahead of their
+    // slot keep their place; extra boosted cards beyond the slots stay organic.
+    placeBoosts(sorted) {
+        const organic = sorted.filter(card => !card.boostId);
+        const boosted = sorted.filter(card => card.boostId);
+
+        boosted.forEach((card, slot) => {
+            const target = organic[slot * boostsConfig.slotInterval];
+            if (!target || card.score > target.score) return;
+
+            card.score = target.score + 0.5;
+            card.boosted = true;
+        });
+
+        return sorted.sort(this.compareCards);
+    }
+
+    async candidateQuery(user) {
+        const [actionedIds, blockedIds, likedByIds] = await Promise.all([
+            this.actionedUserIds(user._id),
+            this.blockService.getBlockedUserIds(user._id),
+            this.likedByUserIds(user._id)
+        ]);
+
+        const query = {
+            ...this.preferenceService.discoveryQuery(user),
+            _id: { $nin: [user._id, ...actionedIds, ...blockedIds] },
+            isActive: true,
+            isBanned: { $ne: true },
+            suspendedForReview: { $ne: true },
+            isDeleted: { $ne: true }
+        };
+
+        // Incognito users only appear to people they've liked; blocks and both sides'
+        // preferences still apply on top
+        query.$and = [
+            ...(query.$and || []),
+            { $or: [{ 'preferences.incognito': { $ne: true } }, { _id: { $in: likedByIds } }] }
+        ];
+
+        return query;
+    }
+
+    // Everyone this user has already liked, passed or matched with. People who liked
+    // this user first still show up, since the user hasn't acted on them yet.
+    async actionedUserIds(userId) {
+        const matches = await Match.find({
+            $or: [
+                { user1: userId, user1Action: { $ne: null } },
+                { user2: userId, user2Action: { $ne: null } }
+            ]
+        }).select('user1 user2').lean();
+
+        return matches.map(match => (match.user1.toString() === userId.toString() ? match.user2 : match.user1));
+    }
+
+    // People who liked or super-liked this user, whether or not the user has answered
+    async likedByUserIds(userId) {
+        const matches = await Match.find({
+            $or: [
+                { user2: userId, user1Action: { $in: ['like', 'super_like'] } },
+                { user1: userId, user2Action: { $in: ['like', 'super_like'] } }
+            ]
+        }).select('user1 user2').lean();
+
+        return matches.map(match => (match.user1.toString() === userId.toString() ? match.user2 : match.user1));
+    }
+
+    async superLikedBy(userId, candidateIds) {
+        const matches = await Match.find({
+            $or: [
+                { user2: userId, user1: { $in: candidateIds }, user1Action: 'super_like' },
+                { user1: userId, user2: { $in: candidateIds }, user2Action: 'super_like' }
+            ]
+        }).select('user1 user2').lean();
+
+        return new Set(matches.map(match => (match.user1.toString() === userId.toString() ? match.user2 : match.user1).toString()));
+    }
+
+    // From each side's active location (the trip destination while travelling). Computed
+    // live because indexed pairs can lag behind a trip starting or ending.
+    distanceMiles(user, candidate) {
+        const from = getCoordinates(user.location);
+        const to = getCoordinates(candidate.location);
+        return from && to ? Math.round(calculateDistance(from.lat, from.lng, to.lat, to.lng)) : null;
+    }
+
+    toProfile(card) {
+        const { user } = card;
+
+        return {
+            id: user._id,
+            firstName: user.firstName,
+            age: user.dateOfBirth ? calculateAge(user.dateOfBirth) : null,
+            photos: user.photos,
+            bio: user.bio,
+            personalityType: user.personalityType,
+            interests: user.interests,
+            distanceMiles: card.distanceMiles,
+            compatibility: compatibilityEngine.shareableScore(card.compatibility),
+            matchType: compatibilityEngine.matchType(compatibilityEngine.shareableScore(card.compatibility)),
+            superLikedYou: card.superLikedYou,
+            // Shown to people in the city a travelling user is visiting
+            visiting: user.travel && user.travel.status === 'active'
+                ? { city: user.travel.city, until: user.travel.endsAt }
+                : null,
+            trustSignals: {
+                phoneVerified: !!user.isPhoneVerified,
+                idVerified: !!user.isVerified
+            }
+        };
+    }
+
+    isAfter(card, position) {
+        return card.score < position.score || (card.score === position.score && card.id > position.id);
+    }
+
+    encodeCursor(card) {
+        return Buffer.from(JSON.stringify({ score: card.score, id: card.id })).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (typeof position.score !== 'number' || !/^[a-f\d]{24}$/i.test(position.id)) return null;
+            return position;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = DeckService;
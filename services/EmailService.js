@@ -0,0 +1,65 @@
+const nodemailer = require('nodemailer');
+
+// Messages delivered through the capture transport, kept in memory so tests can inspect them
+const capturedMessages = [];
+
+class EmailService {
+    constructor(options = {}) {
+        this.transport = options.transport || process.env.EMAIL_TRANSPORT || 'smtp';
+        this.from = process.env.FROM_EMAIL;
+        this.transporter = this.createTransporter();
+    }
+
+    createTransporter() {
+        if (this.transport === 'capture') {
+            return nodemailer.createTransport({ jsonTransport: true });
+        }
+
+        // SMTP_HOST lets us point at a local sink (MailHog, smtp4dev) instead of Gmail
+        if (process.env.SMTP_HOST) {
+            return nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT || '587'),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                } : undefined
+            });
+        }
+
+        return nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            }
+        });
+    }
+
+    async send({ to, subject, html, text }) {
+        const info = await this.transporter.sendMail({
+            from: this.from,
+            to,
+            subject,
+            html,
+            text
+        });
+
+        if (this.transport === 'capture') {
+            capturedMessages.push({ to, subject, html, text, sentAt: new Date() });
+        }
+
+        return info;
+    }
+
+    static getCapturedMessages() {
+        return capturedMessages;
+    }
+
+    static clearCapturedMessages() {
+        capturedMessages.length = 0;
+    }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,76 @@
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const VerificationTokenService = require('./VerificationTokenService');
+const ReferralService = require('./ReferralService');
+
+const PURPOSE = 'email_verification';
+
+class EmailVerificationService {
+    constructor() {
+        this.emailService = new EmailService();
+        this.tokenService = new VerificationTokenService();
+        this.referralService = new ReferralService();
+
+        this.tokenTtlMs = 24 * 60 * 60 * 1000;      // Link valid for 24 hours
+        this.resendCooldownMs = 60 * 1000;          // At most one email per minute
+        this.maxSendsPerDay = 5;
+    }
+
+    async sendVerification(user) {
+        if (user.isEmailVerified) {
+            return { sent: false, reason: 'already_verified' };
+        }
+
+        const retryAfter = await this.getRetryAfter(user._id);
+        if (retryAfter) {
+            return { sent: false, reason: 'throttled', retryAfter };
+        }
+
+        const token = await this.tokenService.issue(user._id, PURPOSE, this.tokenTtlMs);
+        const link = `${process.env.CLIENT_URL}/verify-email?token=${token}`;
+
+        await this.emailService.send({
+            to: user.email,
+            subject: 'Verify your email - SoulMate Connect',
+            html: `
+                <h2>Welcome to SoulMate Connect, ${user.firstName}!</h2>
+                <p>Please confirm your email address to start matching.</p>
+                <p><a href="${link}">Verify my email</a></p>
+                <p>This link expires in 24 hours. If you didn't create an account, you can ignore this email.</p>
+            `
+        });
+
+        return { sent: true };
+    }
+
+    async confirm(token) {
+        const userId = await this.tokenService.consume(token, PURPOSE);
+        if (!userId) return null;
+
+        const user = await User.findByIdAndUpdate(userId, {
+            isEmailVerified: true,
+            emailVerifiedAt: new Date()
+        }, { new: true });
+
+        await this.referralService.qualify(userId, 'email_verified');
+
+        return user;
+    }
+
+    // Seconds until another verification email may be sent, or 0 if allowed now
+    async getRetryAfter(userId) {
+        const recent = await this.tokenService.getRecentIssues(userId, PURPOSE, 24 * 60 * 60 * 1000);
+        if (!recent.length) return 0;
+
+        const now = Date.now();
+        if (recent.length >= this.maxSendsPerDay) {
+            const oldest = recent[recent.length - 1].createdAt.getTime();
+            return Math.ceil((oldest + 24 * 60 * 60 * 1000 - now) / 1000);
+        }
+
+        const cooldownEnds = recent[0].createdAt.getTime() + this.resendCooldownMs;
+        return cooldownEnds > now ? Math.ceil((cooldownEnds - now) / 1000) : 0;
+    }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,38 @@
+const tiers = require('../config/tiers');
+const SubscriptionService = require('./SubscriptionService');
+
+// Boolean plan features from config/tiers.js that can be checked with has()
+const FEATURES = ['rewind', 'extendMatch', 'incognito', 'aiCoaching'];
+
+// Single place that decides what a user's plan includes. Check features here (or with
+// the requireEntitlement middleware) rather than comparing plan names.
+class EntitlementService {
+    constructor() {
+        this.subscriptionService = new SubscriptionService();
+    }
+
+    getTier(user) {
+        return this.subscriptionService.getTier(user);
+    }
+
+    // Limits and features of the user's current plan
+    getPlan(user) {
+        return tiers[this.getTier(user)] || tiers.free;
+    }
+
+    has(user, feature) {
+        if (!FEATURES.includes(feature)) {
+            throw new Error(`Unknown entitlement: ${feature}`);
+        }
+        return !!this.getPlan(user)[feature];
+    }
+
+    list(user) {
+        const plan = this.getPlan(user);
+        return FEATURES.filter(feature => plan[feature]);
+    }
+}
+
+EntitlementService.FEATURES = FEATURES;
+
+module.exports = EntitlementService;
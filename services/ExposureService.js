@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const Exposure = require('../models/Exposure');
+const ExposureMetrics = require('../models/ExposureMetrics');
+const rankingConfig = require('../config/ranking');
+const { getDateKey } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ELIGIBLE_USERS = {
+    isActive: true,
+    isBanned: { $ne: true },
+    suspendedForReview: { $ne: true },
+    isDeleted: { $ne: true }
+};
+
+// Average impressions per eligible profile over the window, recomputed once per UTC day
+let averageCache = { date: null, average: null };
+
+class ExposureService {
+    constructor(config = rankingConfig.exposure) {
+        this.config = config;
+    }
+
+    async recordImpressions(userIds, now = new Date()) {
+        const date = getDateKey('UTC', now);
+        const operations = userIds.map(userId => ({
+            updateOne: {
+                filter: { user: userId, date },
+                update: { $inc: { impressions: 1 } },
+                upsert: true
+            }
+        }));
+
+        if (operations.length) {
+            await Exposure.bulkWrite(operations, { ordered: false });
+        }
+    }
+
+    // Fairness stage of deck ranking. Over-exposed profiles lose points on a log scale and
+    // new profiles still under their exposure budget gain points. Cards need `user.createdAt`.
+    async adjust(cards, now = new Date()) {
+        if (!cards.length) return cards;
+
+        // Both stages read impressions up to the start of today, which don't change while
+        // someone pages through a deck. Cards served today count from tomorrow.
+        const [impressions, average] = await Promise.all([
+            this.getWindowImpressions(cards.map(card => card.user._id), now),
+            this.getAverageImpressions(now)
+        ]);
+
+        cards.forEach(card => {
+            const shown = impressions.get(card.id) || 0;
+            card.score = Math.round(card.score - this.penalty(shown, average) + this.newUserBoost(card.user, shown, now));
+        });
+
+        return cards;
+    }
+
+    penalty(impressions, average) {
+        if (!average || impressions <= average) return 0;
+        return Math.min(this.config.maxPenalty, this.config.dampeningPoints * Math.log2(impressions / average));
+    }
+
+    isNewUser(user, now) {
+        return !!user.createdAt && now - new Date(user.createdAt) <= this.config.newUserDays * DAY_MS;
+    }
+
+    // Shrinks linearly to nothing as the budget is used up. `impressions` stops at the start of
+    // today, so the budget is settled once a day and a profile's first day is always boosted in full.
+    newUserBoost(user, impressions, now) {
+        if (!this.isNewUser(user, now)) return 0;
+        return this.config.newUserBoost * Math.max(0, 1 - impressions / this.config.newUserBudget);
+    }
+
+    // Impressions per profile over the last `windowDays` full UTC days, today excluded
+    async getWindowImpressions(userIds, now = new Date()) {
+        const rows = await Exposure.aggregate([
+            { $match: { user: { $in: userIds }, date: this.windowRange(now) } },
+            { $group: { _id: '$user', impressions: { $sum: '$impressions' } } }
+        ]);
+
+        return new Map(rows.map(row => [row._id.toString(), row.impressions]));
+    }
+
+    async getAverageImpressions(now = new Date()) {
+        const today = getDateKey('UTC', now);
+        if (averageCache.date === today) return averageCache.average;
+
+        const [totals, eligible] = await Promise.all([
+            Exposure.aggregate([
+                { $match: { date: this.windowRange(now) } },
+                { $group: { _id: null, impressions: { $sum: '$impressions' } } }
+            ]),
+            User.countDocuments(ELIGIBLE_USERS)
+        ]);
+
+        const total = totals.length ? totals[0].impressions : 0;
+        averageCache = { date: today, average: eligible ? total / eligible : null };
+        return averageCache.average;
+    }
+
+    windowRange(now) {
+        return {
+            $gte: getDateKey('UTC', new Date(now.getTime() - this.config.windowDays * DAY_MS)),
+            $lt: getDateKey('UTC', now)
+        };
+    }
+
+    // Summarizes one UTC day. Eligible profiles never shown that day count as zero
+    // impressions; the eligible count is taken when this runs, so run it soon after the day ends.
+    async computeDailyMetrics(date) {
+        const counts = [];
+        const cursor = Exposure.find({ date }).select('impressions').sort({ impressions: 1 }).lean().cursor();
+        for await (const row of cursor) {
+            counts.push(row.impressions);
+        }
+
+        const eligibleProfiles = await User.countDocuments(ELIGIBLE_USERS);
+        const population = Math.max(eligibleProfiles, counts.length);
+        const zeros = population - counts.length;
+        const impressions = counts.reduce((sum, count) => sum + count, 0);
+
+        // Gini over the ascending distribution, zeros first: (2 * sum(i * x_i)) / (n * sum(x)) - (n + 1) / n
+        let weighted = 0;
+        counts.forEach((count, i) => {
+            weighted += (zeros + i + 1) * count;
+        });
+        const gini = impressions ? (2 * weighted) / (population * impressions) - (population + 1) / population : 0;
+
+        const topShare = (fraction) => {
+            const k = Math.ceil(population * fraction);
+            const top = counts.slice(-k).reduce((sum, count) => sum + count, 0);
+            return impressions ? top / impressions : 0;
+        };
+
+        const metrics = {
+            date,
+            eligibleProfiles,
+            profilesShown: counts.length,
+            impressions,
+            gini: Math.round(gini * 1000) / 1000,
+            top1PercentShare: Math.round(topShare(0.01) * 1000) / 1000,
+            top10PercentShare: Math.round(topShare(0.1) * 1000) / 1000,
+            computedAt: new Date()
+        };
+
+        await ExposureMetrics.updateOne({ date }, metrics, { upsert: true });
+        return metrics;
+    }
+
+    // Oldest first, for charting
+    async getMetrics(days = 30) {
+        const since = getDateKey('UTC', new Date(Date.now() - days * DAY_MS));
+        return await ExposureMetrics.find({ date: { $gte: since } }).sort({ date: 1 }).select('-_id -__v').lean();
+    }
+}
+
+module.exports = ExposureService;
@@ -0,0 +1,292 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+
+// Throttle stores implement:
+//   get(key) -> record | null
+//   recordFailure(key, windowMs, ttlMs) -> record with failures incremented
+//   refund(key) -> takes back one failure
+//   update(key, fields)
+//   reset(key)
+// A record is { failures, windowStartedAt, nextAttemptAt, lockedUntil }.
+
+// Shared across instances and survives restarts
+class MongoThrottleStore {
+    async get(key) {
+        return await LoginThrottle.findOne({ key }).lean();
+    }
+
+    async recordFailure(key, windowMs, ttlMs) {
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + ttlMs);
+
+        const inWindow = await LoginThrottle.findOneAndUpdate(
+            { key, windowStartedAt: { $gt: new Date(now.getTime() - windowMs) } },
+            { $inc: { failures: 1 }, $set: { expiresAt } },
+            { new: true, lean: true }
+        );
+        if (inWindow) return inWindow;
+
+        // First failure, or the previous window lapsed. An active lock is left as-is.
+        try {
+            return await LoginThrottle.findOneAndUpdate(
+                { key },
+                { $set: { failures: 1, windowStartedAt: now, expiresAt } },
+                { new: true, upsert: true, lean: true }
+            );
+        } catch (error) {
+            // Lost an upsert race with another instance; count against its window
+            if (error.code !== 11000) throw error;
+            return await this.recordFailure(key, windowMs, ttlMs);
+        }
+    }
+
+    async refund(key) {
+        await LoginThrottle.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    }
+
+    async update(key, fields) {
+        await LoginThrottle.updateOne({ key }, { $set: fields });
+    }
+
+    async reset(key) {
+        await LoginThrottle.deleteOne({ key });
+    }
+}
+
+// Process-local store for tests and single-instance development
+class MemoryThrottleStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(key) {
+        return this.records.get(key) || null;
+    }
+
+    async recordFailure(key, windowMs) {
+        const now = new Date();
+        const record = this.records.get(key);
+
+        // Copies, like the Mongo store, so parallel callers each see their own count
+        if (record && record.windowStartedAt > new Date(now.getTime() - windowMs)) {
+            record.failures += 1;
+            return { ...record };
+        }
+
+        const fresh = { ...record, failures: 1, windowStartedAt: now };
+        this.records.set(key, fresh);
+        return { ...fresh };
+    }
+
+    async refund(key) {
+        const record = this.records.get(key);
+        if (record && record.failures > 0) record.failures -= 1;
+    }
+
+    async update(key, fields) {
+        this.records.set(key, { ...this.records.get(key), ...fields });
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+}
+
+const stores = {
+    mongo: () => new MongoThrottleStore(),
+    memory: () => new MemoryThrottleStore()
+};
+
+class LoginThrottleService {
+    constructor(options = {}) {
+        this.store = options.store || stores[process.env.LOGIN_THROTTLE_STORE || 'mongo']();
+        this.emailService = new EmailService();
+
+        // Failures beyond freeAttempts double the wait each time, up to maxDelayMs.
+        // Reaching lockoutThreshold within windowMs locks the key for lockoutMs.
+        this.policies = {
+            account: {
+                freeAttempts: 3,
+                baseDelayMs: 1000,
+                maxDelayMs: 60 * 1000,
+                lockoutThreshold: 10,
+                lockoutMs: 15 * 60 * 1000,
+                windowMs: 60 * 60 * 1000
+            },
+            ip: {
+                freeAttempts: 10,
+                baseDelayMs: 500,
+                maxDelayMs: 30 * 1000,
+                lockoutThreshold: 50,
+                lockoutMs: 30 * 60 * 1000,
+                windowMs: 60 * 60 * 1000
+            }
+        };
+    }
+
+    keysFor(email, ipAddress) {
+        return {
+            account: `account:${String(email).toLowerCase()}`,
+            ip: `ip:${ipAddress}`
+        };
+    }
+
+    // Returns { allowed: true } or { allowed: false, reason, retryAfter } from existing locks and delays
+    async check(email, ipAddress) {
+        const keys = this.keysFor(email, ipAddress);
+        const now = Date.now();
+        let blocked = null;
+
+        for (const key of [keys.account, keys.ip]) {
+            const record = await this.store.get(key);
+            if (!record) continue;
+
+            const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+            const nextAttemptAt = record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0;
+            const waitUntil = Math.max(lockedUntil, nextAttemptAt);
+
+            if (waitUntil > now) {
+                const retryAfter = Math.ceil((waitUntil - now) / 1000);
+                if (!blocked || retryAfter > blocked.retryAfter) {
+                    blocked = { allowed: false, reason: lockedUntil > now ? 'locked' : 'throttled', retryAfter };
+                }
+            }
+        }
+
+        return blocked || { allowed: true };
+    }
+
+    // Call before a password or code is checked. The attempt is counted as a failure up
+    // front, so a burst of parallel guesses can't all get past the limit before the first
+    // one fails. Returns { allowed: false, reason, retryAfter } or a reservation to hand to
+    // recordFailure, recordSuccess or release once the outcome is known.
+    async reserve(email, ipAddress) {
+        const throttle = await this.check(email, ipAddress);
+        if (!throttle.allowed) return throttle;
+
+        const keys = this.keysFor(email, ipAddress);
+        const account = await this.applyFailure(keys.account, this.policies.account);
+        const ip = await this.applyFailure(keys.ip, this.policies.ip);
+
+        // Reserved after the limit was used up by attempts still in flight
+        const over = [[account, this.policies.account], [ip, this.policies.ip]]
+            .filter(([result, policy]) => result.failures > policy.lockoutThreshold);
+        if (over.length) {
+            const lockoutMs = Math.max(...over.map(([, policy]) => policy.lockoutMs));
+            return { allowed: false, reason: 'locked', retryAfter: Math.ceil(lockoutMs / 1000) };
+        }
+
+        return {
+            allowed: true,
+            email,
+            ipAddress,
+            accountLocked: account.lockNow,
+            accountDelayed: account.delayed,
+            ipLocked: ip.lockNow,
+            ipDelayed: ip.delayed
+        };
+    }
+
+    // The reserved attempt failed; it was already counted
+    async recordFailure(reservation) {
+        if (reservation.accountLocked) {
+            await this.notifyLockout(reservation.email);
+        }
+    }
+
+    // `reservation` is null for logins that never reserved an attempt (passkeys)
+    async recordSuccess(email, reservation = null) {
+        // The IP counter only gets this attempt back, so one valid account can't reset it for a stuffing run
+        await this.store.reset(this.keysFor(email).account);
+        if (reservation) {
+            await this.refund(this.keysFor(email, reservation.ipAddress).ip, reservation.ipLocked, reservation.ipDelayed);
+        }
+    }
+
+    // Takes back a reserved attempt that neither failed nor completed a login, e.g. a correct
+    // password still waiting on its second factor
+    async release(reservation) {
+        const keys = this.keysFor(reservation.email, reservation.ipAddress);
+
+        await this.refund(keys.account, reservation.accountLocked, reservation.accountDelayed);
+        await this.refund(keys.ip, reservation.ipLocked, reservation.ipDelayed);
+    }
+
+    // Gives back one reserved failure along with the delay and lock it started, so a
+    // released attempt doesn't hold up the next step
+    async refund(key, locked, delayed) {
+        await this.store.refund(key);
+
+        const fields = {};
+        if (locked) fields.lockedUntil = null;
+        if (delayed) fields.nextAttemptAt = null;
+        if (Object.keys(fields).length) {
+            await this.store.update(key, fields);
+        }
+    }
+
+    // Returns { failures, lockNow, delayed }; lockNow is true when this failure started a
+    // lockout, delayed when it set a wait before the next attempt
+    async applyFailure(key, policy) {
+        const record = await this.store.recordFailure(key, policy.windowMs, policy.windowMs + policy.lockoutMs);
+        const now = Date.now();
+        const fields = {};
+
+        const excess = record.failures - policy.freeAttempts;
+        if (excess > 0) {
+            const delay = Math.min(policy.baseDelayMs * Math.pow(2, excess - 1), policy.maxDelayMs);
+            fields.nextAttemptAt = new Date(now + delay);
+        }
+
+        const alreadyLocked = record.lockedUntil && new Date(record.lockedUntil).getTime() > now;
+        const lockNow = record.failures >= policy.lockoutThreshold && !alreadyLocked;
+        if (lockNow) {
+            fields.lockedUntil = new Date(now + policy.lockoutMs);
+        }
+
+        if (Object.keys(fields).length) {
+            await this.store.update(key, fields);
+        }
+
+        return { failures: record.failures, lockNow, delayed: !!fields.nextAttemptAt };
+    }
+
+    async notifyLockout(email) {
+        try {
+            const user = await User.findOne({ email }).select('email firstName');
+            if (!user) return;
+
+            await this.emailService.send({
+                to: user.email,
+                subject: '🔒 Account temporarily locked - SoulMate Connect',
+                html: `
+                    <h2>We locked your account for ${this.policies.account.lockoutMs / 60000} minutes</h2>
+                    <p>Hi ${user.firstName}, there were too many failed sign-in attempts on your account.</p>
+                    <p>If this wasn't you, we recommend resetting your password and enabling two-factor authentication.</p>
+                `
+            });
+        } catch (error) {
+            console.error('Lockout notification error:', error);
+        }
+    }
+
+    async recordAttempt({ email, user, req, method = 'password', success, reason }) {
+        try {
+            await LoginAttempt.create({
+                email,
+                user,
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                method,
+                success,
+                reason
+            });
+        } catch (error) {
+            console.error('Login audit error:', error);
+        }
+    }
+}
+
+module.exports = { LoginThrottleService, MongoThrottleStore, MemoryThrottleStore };
@@ -0,0 +1,83 @@
+const Notification = require('../models/Notification');
+const EmailService = require('./EmailService');
+
+class NotificationService {
+    constructor() {
+        this.emailService = new EmailService();
+    }
+
+    async notifySuperLike(recipient, sender, match) {
+        const notification = await Notification.create({
+            user: recipient._id,
+            type: 'super_like',
+            actor: sender._id,
+            match: match._id
+        });
+
+        // Email is best effort; the in-app notification is the record
+        this.emailService.send({
+            to: recipient.email,
+            subject: '⭐ Someone super liked you - SoulMate Connect',
+            html: `
+                <h2>${sender.firstName} super liked you!</h2>
+                <p>Hi ${recipient.firstName}, open SoulMate Connect to see their profile and like them back.</p>
+            `
+        }).catch(error => console.error('Super like notification error:', error));
+
+        return notification;
+    }
+
+    // "Your turn" nudge to both people in a match nobody has messaged yet
+    async notifyMatchExpiring(match, users) {
+        const hoursLeft = Math.max(1, Math.round((match.expiresAt - Date.now()) / (60 * 60 * 1000)));
+
+        await Promise.all(users.map(async (user) => {
+            const other = users.find(candidate => candidate._id.toString() !== user._id.toString());
+            await Notification.create({ user: user._id, type: 'match_expiring', actor: other._id, match: match._id });
+
+            this.emailService.send({
+                to: user.email,
+                subject: `⏳ Your turn to say hi to ${other.firstName} - SoulMate Connect`,
+                html: `
+                    <h2>Your match with ${other.firstName} expires in ${hoursLeft} hours</h2>
+                    <p>Hi ${user.firstName}, nobody has said hello yet. Send the first message before the match expires!</p>
+                `
+            }).catch(error => console.error('Match expiry reminder error:', error));
+        }));
+    }
+
+    async notifyMatchExpired(match) {
+        await Notification.insertMany([
+            { user: match.user1, type: 'match_expired', actor: match.user2, match: match._id },
+            { user: match.user2, type: 'match_expired', actor: match.user1, match: match._id }
+        ]);
+    }
+
+    // In-app only; the report itself is on the boost
+    async notifyBoostReport(boost) {
+        return await Notification.create({ user: boost.user, type: 'boost_report', boost: boost._id });
+    }
+
+    async list(userId, limit = 50) {
+        const [notifications, unread] = await Promise.all([
+            Notification.find({ user: userId })
+                .populate('actor', 'firstName photos')
+                .sort({ createdAt: -1 })
+                .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 100)),
+            Notification.countDocuments({ user: userId, readAt: null })
+        ]);
+
+        return { notifications, unread };
+    }
+
+    // Marks the given notifications read, or all of them when no ids are passed
+    async markRead(userId, notificationIds = null) {
+        const filter = { user: userId, readAt: null };
+        if (notificationIds) filter._id = { $in: notificationIds };
+
+        const result = await Notification.updateMany(filter, { readAt: new Date() });
+        return result.modifiedCount;
+    }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,188 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoUint8Array } = require('@simplewebauthn/server/helpers');
+const User = require('../models/User');
+const Passkey = require('../models/Passkey');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+
+class PasskeyService {
+    constructor() {
+        this.rpName = process.env.WEBAUTHN_RP_NAME || 'SoulMate Connect';
+        this.rpID = process.env.WEBAUTHN_RP_ID;
+        // Comma-separated so web and local/test origins can be allowed together
+        this.origins = (process.env.WEBAUTHN_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+        this.challengeTtlMs = 5 * 60 * 1000;
+    }
+
+    async registrationOptions(user) {
+        const existing = await Passkey.find({ user: user._id }).select('credentialId transports');
+
+        const options = await generateRegistrationOptions({
+            rpName: this.rpName,
+            rpID: this.rpID,
+            userID: isoUint8Array.fromUTF8String(user._id.toString()),
+            userName: user.email,
+            userDisplayName: user.firstName,
+            attestationType: 'none',
+            excludeCredentials: existing.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports })),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'preferred'
+            }
+        });
+
+        const challenge = await this.saveChallenge(options.challenge, 'registration', user._id);
+        return { challengeId: challenge._id, options };
+    }
+
+    async verifyRegistration(user, challengeId, response, name) {
+        const challenge = await this.consumeChallenge(challengeId, 'registration', user._id);
+        if (!challenge) {
+            return { success: false, reason: 'challenge_expired' };
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origins,
+                expectedRPID: this.rpID
+            });
+        } catch (error) {
+            return { success: false, reason: 'verification_failed' };
+        }
+
+        if (!verification.verified) {
+            return { success: false, reason: 'verification_failed' };
+        }
+
+        const { credentialID, credentialPublicKey, counter, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+        const passkey = await Passkey.create({
+            user: user._id,
+            credentialId: credentialID,
+            publicKey: Buffer.from(credentialPublicKey),
+            counter,
+            transports: (response.response && response.response.transports) || [],
+            deviceType: credentialDeviceType,
+            backedUp: credentialBackedUp,
+            name: name || 'Passkey'
+        });
+
+        return { success: true, passkey };
+    }
+
+    // With an email we list that user's credentials; without one the browser offers
+    // discoverable credentials. Unknown emails get the same empty list so they can't be probed.
+    async authenticationOptions(email) {
+        let allowCredentials = [];
+
+        if (email) {
+            const user = await User.findOne({ email }).select('_id');
+            if (user) {
+                const passkeys = await Passkey.find({ user: user._id }).select('credentialId transports');
+                allowCredentials = passkeys.map(passkey => ({ id: passkey.credentialId, transports: passkey.transports }));
+            }
+        }
+
+        const options = await generateAuthenticationOptions({
+            rpID: this.rpID,
+            allowCredentials,
+            userVerification: 'preferred'
+        });
+
+        const challenge = await this.saveChallenge(options.challenge, 'authentication');
+        return { challengeId: challenge._id, options };
+    }
+
+    async verifyAuthentication(challengeId, response) {
+        const challenge = await this.consumeChallenge(challengeId, 'authentication');
+        if (!challenge) {
+            return { success: false, reason: 'challenge_expired' };
+        }
+
+        const passkey = await Passkey.findOne({ credentialId: response && response.id });
+        if (!passkey) {
+            return { success: false, reason: 'unknown_credential' };
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origins,
+                expectedRPID: this.rpID,
+                authenticator: {
+                    credentialID: passkey.credentialId,
+                    credentialPublicKey: new Uint8Array(passkey.publicKey),
+                    counter: passkey.counter,
+                    transports: passkey.transports
+                },
+                requireUserVerification: false
+            });
+        } catch (error) {
+            return { success: false, reason: 'verification_failed' };
+        }
+
+        if (!verification.verified) {
+            return { success: false, reason: 'verification_failed' };
+        }
+
+        passkey.counter = verification.authenticationInfo.newCounter;
+        passkey.lastUsedAt = new Date();
+        await passkey.save();
+
+        return {
+            success: true,
+            userId: passkey.user,
+            // A PIN or biometric check on the authenticator counts as a second factor
+            userVerified: verification.authenticationInfo.userVerified
+        };
+    }
+
+    async listPasskeys(userId) {
+        return await Passkey.find({ user: userId })
+            .select('name deviceType backedUp createdAt lastUsedAt')
+            .sort({ createdAt: 1 });
+    }
+
+    async renamePasskey(userId, passkeyId, name) {
+        return await Passkey.findOneAndUpdate({ _id: passkeyId, user: userId }, { name }, { new: true })
+            .select('name deviceType backedUp createdAt lastUsedAt');
+    }
+
+    async deletePasskey(userId, passkeyId) {
+        const result = await Passkey.deleteOne({ _id: passkeyId, user: userId });
+        return result.deletedCount > 0;
+    }
+
+    async saveChallenge(challenge, type, userId = null) {
+        return await WebAuthnChallenge.create({
+            user: userId,
+            challenge,
+            type,
+            expiresAt: new Date(Date.now() + this.challengeTtlMs)
+        });
+    }
+
+    // Challenges are single use: deleted as soon as they're read
+    async consumeChallenge(challengeId, type, userId = null) {
+        if (!/^[a-f\d]{24}$/i.test(String(challengeId))) return null;
+
+        const challenge = await WebAuthnChallenge.findOneAndDelete({
+            _id: challengeId,
+            type,
+            user: userId,
+            expiresAt: { $gt: new Date() }
+        });
+        return challenge;
+    }
+}
+
+module.exports = PasskeyService;
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const EmailService = require('./EmailService');
+const SessionService = require('./SessionService');
+const VerificationTokenService = require('./VerificationTokenService');
+
+const PURPOSE = 'password_reset';
+
+class PasswordService {
+    constructor() {
+        this.emailService = new EmailService();
+        this.sessionService = new SessionService();
+        this.tokenService = new VerificationTokenService();
+
+        this.tokenTtlMs = 60 * 60 * 1000;       // Reset links valid for 1 hour
+        this.resendCooldownMs = 60 * 1000;
+    }
+
+    // Silently does nothing for unknown or banned accounts so callers can't probe for emails
+    async requestReset(email) {
+        const user = await User.findOne({ email });
+        if (!user || user.isBanned) return;
+
+        const recent = await this.tokenService.getRecentIssues(user._id, PURPOSE, this.resendCooldownMs);
+        if (recent.length) return;
+
+        const token = await this.tokenService.issue(user._id, PURPOSE, this.tokenTtlMs);
+        const link = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+
+        await this.emailService.send({
+            to: user.email,
+            subject: 'Reset your password - SoulMate Connect',
+            html: `
+                <h2>Password reset requested</h2>
+                <p>Hi ${user.firstName}, we received a request to reset your password.</p>
+                <p><a href="${link}">Choose a new password</a></p>
+                <p>This link expires in 1 hour. If you didn't request this, you can ignore this email.</p>
+            `
+        });
+    }
+
+    async resetPassword(token, newPassword) {
+        const userId = await this.tokenService.consume(token, PURPOSE);
+        if (!userId) return null;
+
+        const user = await User.findById(userId);
+        if (!user) return null;
+
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        // Anyone holding an old session may be the reason for the reset
+        await this.sessionService.revokeAllSessions(user._id, 'password_reset');
+        await this.sendChangedNotice(user);
+
+        return user;
+    }
+
+    async changePassword(userId, currentPassword, newPassword, currentSessionId) {
+        const user = await User.findById(userId);
+
+        const isMatch = await user.comparePassword(currentPassword);
+        if (!isMatch) {
+            return { success: false, reason: 'invalid_current_password' };
+        }
+
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        // Keep the device that made the change signed in
+        await this.sessionService.revokeAllSessions(user._id, 'password_change', currentSessionId);
+        await this.sendChangedNotice(user);
+
+        return { success: true };
+    }
+
+    async sendChangedNotice(user) {
+        try {
+            await this.emailService.send({
+                to: user.email,
+                subject: 'Your password was changed - SoulMate Connect',
+                html: `
+                    <h2>Your password was changed</h2>
+                    <p>Hi ${user.firstName}, the password for your account was just changed and other devices were signed out.</p>
+                    <p>If this wasn't you, reset your password immediately and contact support.</p>
+                `
+            });
+        } catch (error) {
+            console.error('Password change notice error:', error);
+        }
+    }
+}
+
+module.exports = PasswordService;
@@ -0,0 +1,116 @@
+const User = require('../models/User');
+const PhoneVerification = require('../models/PhoneVerification');
+const { SmsService } = require('./SmsService');
+const { generateOTP, hashString, verifyHash, toE164 } = require('../utils/helpers');
+
+class PhoneVerificationService {
+    constructor() {
+        this.smsService = new SmsService();
+
+        this.codeTtlMs = 10 * 60 * 1000;        // Codes expire after 10 minutes
+        this.maxAttempts = 5;                    // Wrong guesses allowed per code
+        this.resendCooldownMs = 60 * 1000;
+        this.maxSendsPerHour = 5;
+    }
+
+    async start(user, rawPhoneNumber) {
+        const phoneNumber = toE164(rawPhoneNumber);
+        if (!phoneNumber) {
+            return { success: false, reason: 'invalid_phone_number' };
+        }
+
+        const takenBy = await User.findOne({
+            _id: { $ne: user._id },
+            phoneNumber,
+            isPhoneVerified: true
+        }).select('_id');
+        if (takenBy) {
+            return { success: false, reason: 'phone_number_in_use' };
+        }
+
+        const retryAfter = await this.getRetryAfter(user._id, phoneNumber);
+        if (retryAfter) {
+            return { success: false, reason: 'throttled', retryAfter };
+        }
+
+        const code = generateOTP();
+        const { hash, salt } = hashString(code);
+
+        await PhoneVerification.create({
+            user: user._id,
+            phoneNumber,
+            codeHash: hash,
+            codeSalt: salt,
+            expiresAt: new Date(Date.now() + this.codeTtlMs)
+        });
+
+        await this.smsService.send(phoneNumber, `Your SoulMate Connect code is ${code}. It expires in 10 minutes.`);
+
+        return { success: true, phoneNumber, expiresIn: this.codeTtlMs / 1000 };
+    }
+
+    async confirm(user, code) {
+        const pending = await PhoneVerification.findOne({
+            user: user._id,
+            verifiedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ createdAt: -1 });
+
+        if (!pending) {
+            return { success: false, reason: 'no_pending_verification' };
+        }
+
+        // Count the attempt before checking so parallel guesses can't exceed the limit
+        const attempt = await PhoneVerification.findOneAndUpdate(
+            { _id: pending._id, attempts: { $lt: this.maxAttempts } },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+        if (!attempt) {
+            return { success: false, reason: 'too_many_attempts' };
+        }
+
+        if (typeof code !== 'string' || !verifyHash(code, attempt.codeHash, attempt.codeSalt)) {
+            return {
+                success: false,
+                reason: 'invalid_code',
+                attemptsRemaining: this.maxAttempts - attempt.attempts
+            };
+        }
+
+        attempt.verifiedAt = new Date();
+        await attempt.save();
+
+        await User.findByIdAndUpdate(user._id, {
+            phoneNumber: attempt.phoneNumber,
+            isPhoneVerified: true,
+            phoneVerifiedAt: attempt.verifiedAt
+        });
+
+        return { success: true, phoneNumber: attempt.phoneNumber };
+    }
+
+    // Throttles both per account and per number so one number can't be spammed from many accounts
+    async getRetryAfter(userId, phoneNumber) {
+        const since = new Date(Date.now() - 60 * 60 * 1000);
+        const recent = await PhoneVerification.find({
+            $or: [{ user: userId }, { phoneNumber }],
+            createdAt: { $gte: since }
+        })
+            .select('createdAt')
+            .sort({ createdAt: -1 });
+
+        if (!recent.length) return 0;
+
+        const now = Date.now();
+        if (recent.length >= this.maxSendsPerHour) {
+            const oldest = recent[recent.length - 1].createdAt.getTime();
+            return Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000);
+        }
+
+        const cooldownEnds = recent[0].createdAt.getTime() + this.resendCooldownMs;
+        return cooldownEnds > now ? Math.ceil((cooldownEnds - now) / 1000) : 0;
+    }
+}
+
+module.exports = PhoneVerificationService;
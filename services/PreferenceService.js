@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const compatibilityConfig = require('../config/compatibility');
+const CompatibilityIndexService = require('./CompatibilityIndexService');
+const { calculateAge, calculateDistance, getCoordinates } = require('../utils/helpers');
+
+const GENDERS = ['male', 'female', 'non-binary'];
+
+// Register.js collects lookingFor; it seeds showMe until the user sets preferences explicitly
+const LOOKING_FOR_GENDERS = {
+    men: ['male'],
+    women: ['female'],
+    everyone: GENDERS
+};
+
+const EARTH_RADIUS_MILES = 3959;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+class PreferenceService {
+    constructor() {
+        this.compatibilityIndexService = new CompatibilityIndexService();
+    }
+
+    // Stored preferences with defaults filled in
+    getPreferences(user) {
+        const preferences = user.preferences || {};
+
+        return {
+            ageMin: preferences.ageMin || 18,
+            ageMax: preferences.ageMax || 100,
+            showMe: preferences.showMe && preferences.showMe.length
+                ? preferences.showMe
+                : LOOKING_FOR_GENDERS[user.lookingFor] || GENDERS,
+            visibleTo: preferences.visibleTo && preferences.visibleTo.length ? preferences.visibleTo : GENDERS,
+            maxDistance: preferences.maxDistance || compatibilityConfig.defaultMaxDistanceMiles,
+            verifiedOnly: !!preferences.verifiedOnly,
+            // Hidden from other decks except people this user has liked
+            incognito: !!preferences.incognito,
+            timezone: user.timezone || 'UTC'
+        };
+    }
+
+    async updatePreferences(userId, changes) {
+        const fields = ['ageMin', 'ageMax', 'showMe', 'visibleTo', 'maxDistance', 'verifiedOnly', 'incognito'];
+        const update = {};
+        fields.forEach(field => {
+            if (changes[field] !== undefined) update[`preferences.${field}`] = changes[field];
+        });
+        if (changes.timezone !== undefined) update.timezone = changes.timezone;
+
+        const user = await User.findByIdAndUpdate(userId, { $set: update }, { new: true })
+            .select('preferences lookingFor timezone');
+
+        // Max distance feeds the distance score and the indexed candidate pool
+        if (changes.maxDistance !== undefined) {
+            await this.compatibilityIndexService.onProfileUpdated(userId);
+        }
+
+        return this.getPreferences(user);
+    }
+
+    // Incognito is a paid feature; called when the plan no longer includes it
+    async clearIncognito(userId) {
+        await User.updateOne({ _id: userId }, { $set: { 'preferences.incognito': false } });
+    }
+
+    // Coarse database filter for both directions of the preference check. Candidates it
+    // returns still go through isMutualMatch, which also applies the other side's distance.
+    discoveryQuery(user) {
+        const preferences = this.getPreferences(user);
+        const now = Date.now();
+        const query = {
+            gender: { $in: preferences.showMe.filter(gender => preferences.visibleTo.includes(gender)) },
+            dateOfBirth: {
+                $lte: new Date(now - preferences.ageMin * YEAR_MS),
+                $gt: new Date(now - (preferences.ageMax + 1) * YEAR_MS)
+            },
+            $and: []
+        };
+
+        if (preferences.verifiedOnly) query.isVerified = true;
+        if (!user.isVerified) query['preferences.verifiedOnly'] = { $ne: true };
+
+        // $not also matches candidates who never set a bound
+        if (user.dateOfBirth) {
+            const age = calculateAge(user.dateOfBirth);
+            query['preferences.ageMin'] = { $not: { $gt: age } };
+            query['preferences.ageMax'] = { $not: { $lt: age } };
+        }
+
+        if (user.gender) {
+            query.$and.push(
+                { $or: [{ 'preferences.showMe': user.gender }, { 'preferences.showMe.0': { $exists: false } }] },
+                { $or: [{ 'preferences.visibleTo': user.gender }, { 'preferences.visibleTo.0': { $exists: false } }] }
+            );
+        }
+
+        // Needs the 2dsphere index on User.location
+        const coordinates = getCoordinates(user.location);
+        if (coordinates) {
+            query.location = {
+                $geoWithin: {
+                    $centerSphere: [[coordinates.lng, coordinates.lat], preferences.maxDistance / EARTH_RADIUS_MILES]
+                }
+            };
+        }
+
+        if (!query.$and.length) delete query.$and;
+        return query;
+    }
+
+    // True when each person's preferences include the other
+    isMutualMatch(user, candidate) {
+        const from = getCoordinates(user.location);
+        const to = getCoordinates(candidate.location);
+        const miles = from && to ? calculateDistance(from.lat, from.lng, to.lat, to.lng) : null;
+
+        return this.accepts(user, candidate, miles) && this.accepts(candidate, user, miles);
+    }
+
+    // Whether `owner`'s preferences let them see and be seen by `other`
+    accepts(owner, other, miles) {
+        const preferences = this.getPreferences(owner);
+
+        if (!preferences.showMe.includes(other.gender) || !preferences.visibleTo.includes(other.gender)) return false;
+        if (preferences.verifiedOnly && !other.isVerified) return false;
+
+        if (other.dateOfBirth) {
+            const age = calculateAge(other.dateOfBirth);
+            if (age < preferences.ageMin || age > preferences.ageMax) return false;
+        }
+
+        return miles === null || miles <= preferences.maxDistance;
+    }
+}
+
+PreferenceService.GENDERS = GENDERS;
+PreferenceService.LOOKING_FOR_GENDERS = LOOKING_FOR_GENDERS;
+
+module.exports = PreferenceService;
@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const preferenceCatalog = require('../config/preferenceCatalog');
+const CompatibilityIndexService = require('./CompatibilityIndexService');
+
+const ITEMS = new Map(preferenceCatalog.items.map(item => [item.key, item]));
+const IMPORTANCE_LEVELS = Object.keys(preferenceCatalog.importance);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Stored shape of one partner preference, whatever else the client sent
+const toPreference = (preference) => ({ accepts: [...new Set(preference.accepts)], importance: preference.importance });
+
+// Catalog-driven profile answers (user.attributes) and partner preferences
+// (user.partnerPreferences). See config/preferenceCatalog.js.
+class ProfileService {
+    constructor() {
+        this.compatibilityIndexService = new CompatibilityIndexService();
+    }
+
+    // What Register and the profile editor render their forms from
+    getCatalog() {
+        return {
+            importance: Object.entries(preferenceCatalog.importance).map(([value, level]) => ({
+                value,
+                label: level.label,
+                dealbreaker: !!level.veto
+            })),
+            items: preferenceCatalog.items
+        };
+    }
+
+    getProfile(user) {
+        return {
+            attributes: user.attributes || {},
+            partnerPreferences: user.partnerPreferences || {}
+        };
+    }
+
+    // The validators throw so they can be used as express-validator custom validators.
+    // null is accepted for any item and clears it.
+    validateAttributes(attributes) {
+        if (!isPlainObject(attributes)) throw new Error('attributes must be an object');
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            const item = ITEMS.get(key);
+            if (!item) throw new Error(`Unknown profile item: ${key}`);
+            if (value !== null && !item.options.some(option => option.value === value)) {
+                throw new Error(`Invalid answer for ${key}`);
+            }
+        });
+        return true;
+    }
+
+    validatePartnerPreferences(partnerPreferences) {
+        if (!isPlainObject(partnerPreferences)) throw new Error('partnerPreferences must be an object');
+
+        Object.entries(partnerPreferences).forEach(([key, preference]) => {
+            const item = ITEMS.get(key);
+            if (!item) throw new Error(`Unknown profile item: ${key}`);
+            if (preference === null) return;
+
+            if (!isPlainObject(preference) || !IMPORTANCE_LEVELS.includes(preference.importance)) {
+                throw new Error(`${key} needs an importance of ${IMPORTANCE_LEVELS.join(', ')}`);
+            }
+            if (!Array.isArray(preference.accepts) || !preference.accepts.length ||
+                !preference.accepts.every(value => item.options.some(option => option.value === value))) {
+                throw new Error(`${key} needs at least one accepted answer from its options`);
+            }
+        });
+        return true;
+    }
+
+    // Fields for a new account from validated input, with cleared items left out
+    toNewProfile({ attributes = {}, partnerPreferences = {} } = {}) {
+        const profile = { attributes: {}, partnerPreferences: {} };
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (value !== null) profile.attributes[key] = value;
+        });
+        Object.entries(partnerPreferences).forEach(([key, preference]) => {
+            if (preference !== null) profile.partnerPreferences[key] = toPreference(preference);
+        });
+        return profile;
+    }
+
+    // Partial update; items left out keep their current value
+    async updateProfile(userId, changes) {
+        const update = this.toUpdate(changes);
+        if (!update.$set && !update.$unset) {
+            return this.getProfile(await User.findById(userId).select('attributes partnerPreferences'));
+        }
+
+        const user = await User.findByIdAndUpdate(userId, update, { new: true }).select('attributes partnerPreferences');
+
+        // Both answers and preferences feed the compatibility score
+        await this.compatibilityIndexService.onProfileUpdated(userId);
+
+        return this.getProfile(user);
+    }
+
+    toUpdate({ attributes = {}, partnerPreferences = {} }) {
+        const $set = {};
+        const $unset = {};
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            if (value === null) $unset[`attributes.${key}`] = '';
+            else $set[`attributes.${key}`] = value;
+        });
+        Object.entries(partnerPreferences).forEach(([key, preference]) => {
+            if (preference === null) $unset[`partnerPreferences.${key}`] = '';
+            else $set[`partnerPreferences.${key}`] = toPreference(preference);
+        });
+
+        const update = {};
+        if (Object.keys($set).length) update.$set = $set;
+        if (Object.keys($unset).length) update.$unset = $unset;
+        return update;
+    }
+}
+
+module.exports = ProfileService;
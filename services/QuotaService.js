@@ -0,0 +1,82 @@
+const DailyUsage = require('../models/DailyUsage');
+const EntitlementService = require('./EntitlementService');
+const { getDateKey, getNextMidnight, isValidTimeZone } = require('../utils/helpers');
+
+// DailyUsage counter and tier limit behind each quota-limited action. Passes are free.
+const QUOTAS = {
+    like: { field: 'likes', limit: 'dailyLikes' },
+    super_like: { field: 'superLikes', limit: 'dailySuperLikes' }
+};
+
+class QuotaService {
+    constructor() {
+        this.entitlementService = new EntitlementService();
+    }
+
+    getLimits(user) {
+        return this.entitlementService.getPlan(user);
+    }
+
+    timeZone(user) {
+        return isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+    }
+
+    dateKey(user, date = new Date()) {
+        return getDateKey(this.timeZone(user), date);
+    }
+
+    async getStatus(user) {
+        const limits = this.getLimits(user);
+        const usage = await DailyUsage.findOne({ user: user._id, date: this.dateKey(user) }).select('likes superLikes').lean();
+
+        const describe = (used, limit) => ({
+            used,
+            limit,
+            remaining: limit === null ? null : Math.max(0, limit - used)
+        });
+
+        return {
+            tier: this.entitlementService.getTier(user),
+            likes: describe(usage ? usage.likes : 0, limits.dailyLikes),
+            superLikes: describe(usage ? usage.superLikes : 0, limits.dailySuperLikes),
+            rewind: limits.rewind,
+            timezone: this.timeZone(user),
+            resetsAt: getNextMidnight(this.timeZone(user))
+        };
+    }
+
+    // Uses one unit of today's quota for the action; false once the limit is reached.
+    // The counter only increments below the limit, so concurrent requests can't overshoot.
+    async consume(user, action) {
+        const quota = QUOTAS[action];
+        if (!quota) return true;
+
+        const limit = this.getLimits(user)[quota.limit];
+        if (limit !== null && limit <= 0) return false;
+
+        const filter = { user: user._id, date: this.dateKey(user) };
+        if (limit !== null) filter[quota.field] = { $lt: limit };
+
+        try {
+            await DailyUsage.findOneAndUpdate(filter, { $inc: { [quota.field]: 1 } }, { upsert: true });
+            return true;
+        } catch (error) {
+            // Today's document exists but is at the limit, so the upsert collided with it
+            if (error.code === 11000) return false;
+            throw error;
+        }
+    }
+
+    // Returns a unit to the quota of the day the action was made, e.g. after a rewind
+    async refund(user, action, actedAt = new Date()) {
+        const quota = QUOTAS[action];
+        if (!quota) return;
+
+        await DailyUsage.updateOne(
+            { user: user._id, date: this.dateKey(user, actedAt), [quota.field]: { $gt: 0 } },
+            { $inc: { [quota.field]: -1 } }
+        );
+    }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,353 @@
+const User = require('../models/User');
+const Match = require('../models/Match');
+const ActionStats = require('../models/ActionStats');
+const RankingModel = require('../models/RankingModel');
+const rankingConfig = require('../config/ranking');
+const compatibilityConfig = require('../config/compatibility');
+const { compatibilityEngine } = require('./CompatibilityEngine');
+const { calculateAge } = require('../utils/helpers');
+
+// Inputs to the model, all scaled to roughly 0-1
+const FEATURES = ['compatibility', 'distance', 'candidateLikeRate', 'viewerLikeRate', 'ageGap', 'photos'];
+const PROFILE_FIELDS = 'personalityTraits interests values lifestyle attributes partnerPreferences location preferences dateOfBirth photos';
+const LIKE_ACTIONS = ['like', 'super_like'];
+const MODEL_CACHE_MS = 5 * 60 * 1000;
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+let modelCache = { model: null, loadedAt: 0 };
+
+class RankingService {
+    constructor(config = rankingConfig) {
+        this.config = config;
+    }
+
+    // Re-scores deck cards by blending compatibility with the learned like probability.
+    // `compatibility` is kept for display; `score` becomes the deck order.
+    async rank(viewer, cards) {
+        const model = await this.getActiveModel();
+        if (!model || !cards.length) return cards;
+
+        const stats = await this.loadStats([viewer._id, ...cards.map(card => card.user._id)]);
+        const viewerStats = stats.get(viewer._id.toString());
+        const blend = this.blendWeightFor(viewerStats);
+        if (!blend) return cards;
+
+        return cards.map(card => {
+            const features = this.features(viewer, card.user, card, viewerStats, stats.get(card.id), model.globalLikeRate);
+            const probability = this.predict(model, features);
+            return { ...card, score: Math.round((1 - blend) * card.compatibility + blend * probability * 100) };
+        });
+    }
+
+    // Share of the learned score for this viewer; 0 means compatibility-only (cold start)
+    blendWeightFor(viewerStats) {
+        const actions = viewerStats ? viewerStats.actionsGiven : 0;
+        if (actions < this.config.minViewerActions) return 0;
+        return this.config.blendWeight * Math.min(1, actions / this.config.fullBlendActions);
+    }
+
+    // `pair` is { compatibility, distanceMiles } as stored in the compatibility index
+    features(viewer, candidate, pair, viewerStats, candidateStats, globalLikeRate) {
+        const maxDistance = (viewer.preferences && viewer.preferences.maxDistance) || compatibilityConfig.defaultMaxDistanceMiles;
+        const ageGap = viewer.dateOfBirth && candidate.dateOfBirth
+            ? Math.abs(calculateAge(viewer.dateOfBirth) - calculateAge(candidate.dateOfBirth))
+            : 5;
+
+        return [
+            pair.compatibility / 100,
+            pair.distanceMiles == null ? 0.5 : Math.min(pair.distanceMiles / maxDistance, 2),
+            this.smoothedRate(candidateStats && candidateStats.likesReceived, candidateStats && candidateStats.actionsReceived, globalLikeRate),
+            this.smoothedRate(viewerStats && viewerStats.likesGiven, viewerStats && viewerStats.actionsGiven, globalLikeRate),
+            Math.min(ageGap, 20) / 20,
+            Math.min((candidate.photos || []).length, 6) / 6
+        ];
+    }
+
+    smoothedRate(likes = 0, actions = 0, prior = 0.5) {
+        return (likes + prior * this.config.priorStrength) / (actions + this.config.priorStrength);
+    }
+
+    predict(model, features) {
+        return sigmoid(features.reduce((sum, value, i) => sum + value * model.weights[i], model.bias));
+    }
+
+    async getActiveModel() {
+        if (Date.now() - modelCache.loadedAt < MODEL_CACHE_MS) return modelCache.model;
+
+        const model = await RankingModel.findOne({ active: true }).sort({ trainedAt: -1 }).lean();
+        // A model trained on a different feature set can't be applied
+        modelCache = {
+            model: model && model.features.join() === FEATURES.join() ? model : null,
+            loadedAt: Date.now()
+        };
+        return modelCache.model;
+    }
+
+    async loadStats(userIds) {
+        const stats = await ActionStats.find({ user: { $in: userIds } }).lean();
+        return new Map(stats.map(entry => [entry.user.toString(), entry]));
+    }
+
+    // Trains on older Match history and scores the newest slice, comparing the served
+    // (blended) ordering against compatibility alone. Nothing is saved.
+    async trainAndEvaluate(records = null) {
+        records = records || await this.loadHistory();
+        const holdoutSize = Math.floor(records.length * this.config.training.holdoutFraction);
+        const train = records.slice(0, records.length - holdoutSize);
+        const holdout = records.slice(records.length - holdoutSize);
+
+        // Stats come from the training slice only so held-out outcomes don't leak into features.
+        // Training rows use stats from records older than their own, as serving would have seen.
+        const stats = this.computeStats(train);
+        const globalLikeRate = this.globalLikeRate(stats);
+
+        const trainRows = await this.buildRows(this.toTrainingSamples(train), globalLikeRate);
+        const model = { features: FEATURES, ...this.train(trainRows), globalLikeRate, samples: trainRows.length };
+
+        const holdoutSamples = this.toSamples(holdout).map(sample => ({
+            ...sample,
+            viewerStats: stats.get(sample.viewer),
+            candidateStats: stats.get(sample.candidate)
+        }));
+        const holdoutRows = await this.buildRows(holdoutSamples, globalLikeRate);
+        const { k } = this.config.evaluation;
+        const served = this.precisionAtK(holdoutRows, row => {
+            const blend = this.blendWeightFor(stats.get(row.viewer));
+            return (1 - blend) * row.compatibility + blend * this.predict(model, row.features) * 100;
+        });
+        const baseline = this.precisionAtK(holdoutRows, row => row.compatibility);
+
+        return {
+            model,
+            metrics: {
+                k,
+                precisionAtK: served.precision,
+                baselinePrecisionAtK: baseline.precision,
+                viewersEvaluated: served.viewers
+            },
+            trainRecords: train.length,
+            holdoutRecords: holdout.length
+        };
+    }
+
+    // Trains, then activates the model and refreshes the ActionStats snapshot used for serving
+    async trainAndActivate() {
+        const records = await this.loadHistory();
+        const result = await this.trainAndEvaluate(records);
+        await this.saveStats(this.computeStats(records));
+
+        const model = await RankingModel.create({ ...result.model, metrics: result.metrics });
+        await RankingModel.updateMany({ _id: { $ne: model._id }, active: true }, { active: false });
+        model.active = true;
+        await model.save();
+
+        modelCache = { model: null, loadedAt: 0 };
+        return { ...result, modelId: model._id };
+    }
+
+    // Oldest first, capped to the most recent `maxRecords`
+    async loadHistory() {
+        const records = await Match.find({ $or: [{ user1Action: { $ne: null } }, { user2Action: { $ne: null } }] })
+            .select('user1 user2 user1Action user2Action status updatedAt')
+            .sort({ updatedAt: -1 })
+            .limit(this.config.training.maxRecords)
+            .lean();
+        return records.reverse();
+    }
+
+    // One sample per action in a Match record
+    toSamples(records) {
+        const { superLikeWeight, mutualWeight } = this.config.training;
+        const samples = [];
+
+        records.forEach(record => {
+            [[record.user1, record.user2, record.user1Action], [record.user2, record.user1, record.user2Action]]
+                .forEach(([viewer, candidate, action]) => {
+                    if (!action) return;
+
+                    const label = LIKE_ACTIONS.includes(action) ? 1 : 0;
+                    let weight = action === 'super_like' ? superLikeWeight : 1;
+                    if (label && record.status === 'mutual') weight = mutualWeight;
+
+                    samples.push({ viewer: viewer.toString(), candidate: candidate.toString(), label, weight });
+                });
+        });
+
+        return samples;
+    }
+
+    // Samples carrying the viewer's and candidate's stats from strictly older records (oldest
+    // first), so no sample's own label feeds its like-rate features
+    toTrainingSamples(records) {
+        const stats = new Map();
+        const samples = [];
+
+        records.forEach(record => {
+            const recordSamples = this.toSamples([record]);
+            recordSamples.forEach(sample => {
+                const viewerStats = stats.get(sample.viewer);
+                const candidateStats = stats.get(sample.candidate);
+                samples.push({
+                    ...sample,
+                    viewerStats: viewerStats && { ...viewerStats },
+                    candidateStats: candidateStats && { ...candidateStats }
+                });
+            });
+            this.addSamples(stats, recordSamples);
+        });
+
+        return samples;
+    }
+
+    computeStats(records) {
+        const stats = new Map();
+        this.addSamples(stats, this.toSamples(records));
+
+        records.filter(record => record.status === 'mutual').forEach(record => {
+            this.statsEntry(stats, record.user1).mutuals++;
+            this.statsEntry(stats, record.user2).mutuals++;
+        });
+
+        return stats;
+    }
+
+    addSamples(stats, samples) {
+        samples.forEach(sample => {
+            const viewer = this.statsEntry(stats, sample.viewer);
+            const candidate = this.statsEntry(stats, sample.candidate);
+            viewer.actionsGiven++;
+            candidate.actionsReceived++;
+            if (sample.label) {
+                viewer.likesGiven++;
+                candidate.likesReceived++;
+            }
+        });
+    }
+
+    statsEntry(stats, userId) {
+        const key = userId.toString();
+        if (!stats.has(key)) {
+            stats.set(key, { likesGiven: 0, actionsGiven: 0, likesReceived: 0, actionsReceived: 0, mutuals: 0 });
+        }
+        return stats.get(key);
+    }
+
+    globalLikeRate(stats) {
+        let likes = 0;
+        let actions = 0;
+        stats.forEach(entry => {
+            likes += entry.likesGiven;
+            actions += entry.actionsGiven;
+        });
+        return actions ? likes / actions : 0.5;
+    }
+
+    async saveStats(stats) {
+        const computedAt = new Date();
+        const operations = [...stats].map(([userId, entry]) => ({
+            updateOne: {
+                filter: { user: userId },
+                update: { $set: { ...entry, computedAt } },
+                upsert: true
+            }
+        }));
+
+        for (let i = 0; i < operations.length; i += 1000) {
+            await ActionStats.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+        }
+        await ActionStats.deleteMany({ computedAt: { $lt: computedAt } });
+    }
+
+    // Feature vectors for samples whose users still exist. Each sample brings the
+    // `viewerStats` and `candidateStats` its like rates are computed from. Compatibility is
+    // scored live from current profiles, the same inputs the index would hold.
+    async buildRows(samples, globalLikeRate) {
+        const userIds = [...new Set(samples.flatMap(sample => [sample.viewer, sample.candidate]))];
+        const users = new Map();
+        for (let i = 0; i < userIds.length; i += 1000) {
+            const batch = await User.find({ _id: { $in: userIds.slice(i, i + 1000) } }).select(PROFILE_FIELDS).lean();
+            batch.forEach(user => users.set(user._id.toString(), user));
+        }
+
+        const rows = [];
+        samples.forEach(({ viewerStats, candidateStats, ...sample }) => {
+            const viewer = users.get(sample.viewer);
+            const candidate = users.get(sample.candidate);
+            if (!viewer || !candidate) return;
+
+            const result = compatibilityEngine.score(viewer, candidate);
+            const pair = {
+                compatibility: result.score,
+                distanceMiles: result.breakdown.distance ? result.breakdown.distance.details.miles : null
+            };
+
+            rows.push({
+                ...sample,
+                compatibility: result.score,
+                features: this.features(viewer, candidate, pair, viewerStats, candidateStats, globalLikeRate)
+            });
+        });
+
+        return rows;
+    }
+
+    // Weighted logistic regression, full-batch gradient descent with L2 regularization
+    train(rows) {
+        const { epochs, learningRate, l2 } = this.config.training;
+        const weights = new Array(FEATURES.length).fill(0);
+        let bias = 0;
+
+        const totalWeight = rows.reduce((sum, row) => sum + row.weight, 0);
+        if (!totalWeight) return { weights, bias };
+
+        for (let epoch = 0; epoch < epochs; epoch++) {
+            const gradient = new Array(FEATURES.length).fill(0);
+            let biasGradient = 0;
+
+            rows.forEach(row => {
+                const error = (this.predict({ weights, bias }, row.features) - row.label) * row.weight;
+                row.features.forEach((value, i) => {
+                    gradient[i] += error * value;
+                });
+                biasGradient += error;
+            });
+
+            weights.forEach((weight, i) => {
+                weights[i] -= learningRate * (gradient[i] / totalWeight + l2 * weight);
+            });
+            bias -= learningRate * biasGradient / totalWeight;
+        }
+
+        return { weights, bias };
+    }
+
+    // Mean over viewers of the share of likes among their top-k held-out candidates
+    precisionAtK(rows, scoreRow) {
+        const { k, minViewerActions } = this.config.evaluation;
+        const byViewer = new Map();
+        rows.forEach(row => {
+            if (!byViewer.has(row.viewer)) byViewer.set(row.viewer, []);
+            byViewer.get(row.viewer).push(row);
+        });
+
+        let total = 0;
+        let viewers = 0;
+        byViewer.forEach(viewerRows => {
+            if (viewerRows.length < minViewerActions) return;
+
+            const top = viewerRows
+                .map(row => ({ row, score: scoreRow(row) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, k);
+            total += top.filter(entry => entry.row.label).length / top.length;
+            viewers++;
+        });
+
+        return { precision: viewers ? total / viewers : null, viewers };
+    }
+}
+
+RankingService.FEATURES = FEATURES;
+
+module.exports = RankingService;
@@ -0,0 +1,222 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Referral = require('../models/Referral');
+const ReferralCode = require('../models/ReferralCode');
+const SubscriptionService = require('./SubscriptionService');
+const referralConfig = require('../config/referrals');
+const { generateReferralCode } = require('../utils/helpers');
+
+class ReferralService {
+    constructor() {
+        this.subscriptionService = new SubscriptionService();
+    }
+
+    // Codes are generated once and then stay the same for the life of the account
+    async getOrCreateCode(userId) {
+        const existing = await ReferralCode.findOne({ user: userId });
+        if (existing) return existing.code;
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            try {
+                const created = await ReferralCode.create({ user: userId, code: generateReferralCode(userId.toString()) });
+                return created.code;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+
+                // Either the code collided or a parallel request created ours first
+                const raced = await ReferralCode.findOne({ user: userId });
+                if (raced) return raced.code;
+            }
+        }
+
+        throw new Error('Unable to generate referral code');
+    }
+
+    // Links a newly registered user to the owner of the code. Abusive referrals are
+    // recorded as rejected so they show up in stats but never pay out.
+    async recordSignup(newUser, code, req) {
+        const referralCode = await ReferralCode.findOne({ code: String(code).trim().toUpperCase() });
+        if (!referralCode) return null;
+
+        const referrer = await User.findById(referralCode.user).select('email isBanned');
+        if (!referrer || referrer.isBanned) return null;
+
+        const deviceId = req.headers['x-device-id'];
+        const referral = new Referral({
+            referrer: referrer._id,
+            referred: newUser._id,
+            code: referralCode.code,
+            deviceId,
+            ipAddress: req.ip,
+            subnet: this.subnetOf(req.ip)
+        });
+
+        const rejectionReason = await this.checkAbuse(referrer, newUser, { deviceId, ipAddress: req.ip });
+        if (rejectionReason) {
+            referral.status = 'rejected';
+            referral.rejectionReason = rejectionReason;
+        }
+
+        await referral.save();
+        await User.findByIdAndUpdate(newUser._id, { referredBy: referrer._id });
+
+        return referral;
+    }
+
+    // The device id is client-supplied and easy to leave out, so the signup's network is
+    // checked as well, against the referrer's sessions and their earlier referrals
+    async checkAbuse(referrer, newUser, { deviceId, ipAddress }) {
+        if (this.normalizeEmail(referrer.email) === this.normalizeEmail(newUser.email)) {
+            return 'self_referral';
+        }
+
+        const sessions = await Session.find({ user: referrer._id }).select('deviceId ipAddress').lean();
+
+        if (deviceId) {
+            if (sessions.some(session => session.deviceId === deviceId)) {
+                return 'self_referral';
+            }
+
+            const sameDevice = await Referral.exists({ referrer: referrer._id, deviceId });
+            if (sameDevice) {
+                return 'duplicate_device';
+            }
+        }
+
+        const subnet = this.subnetOf(ipAddress);
+        if (subnet) {
+            if (sessions.some(session => session.ipAddress === ipAddress)) {
+                return 'self_referral';
+            }
+            if (sessions.some(session => this.subnetOf(session.ipAddress) === subnet)) {
+                return 'same_network';
+            }
+
+            const sameIp = await Referral.exists({ referrer: referrer._id, ipAddress });
+            if (sameIp) {
+                return 'duplicate_network';
+            }
+
+            const sameSubnet = await Referral.countDocuments({
+                referrer: referrer._id,
+                subnet,
+                createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+            });
+            if (sameSubnet >= referralConfig.maxReferralsPerSubnet) {
+                return 'duplicate_network';
+            }
+        }
+
+        return null;
+    }
+
+    // Called when the referred user verifies their email or pays; pays out if that's the configured trigger
+    async qualify(referredUserId, event) {
+        if (event !== referralConfig.qualifyOn) return null;
+
+        const recentRewards = await this.countRecentRewards(referredUserId);
+        if (recentRewards === null) return null;
+
+        // Claim the referral atomically so duplicate webhooks can't pay twice
+        const referral = await Referral.findOneAndUpdate(
+            { referred: referredUserId, status: 'pending' },
+            recentRewards >= referralConfig.maxRewardsPer30Days
+                ? { status: 'rejected', rejectionReason: 'reward_limit' }
+                : {
+                    status: 'rewarded',
+                    qualifiedBy: event,
+                    rewardedAt: new Date(),
+                    referrerReward: referralConfig.rewards.referrer,
+                    referredReward: referralConfig.rewards.referred
+                },
+            { new: true }
+        );
+        if (!referral || referral.status !== 'rewarded') return referral;
+
+        const { referrer, referred } = referralConfig.rewards;
+        await this.subscriptionService.grantPremiumDays(referral.referrer, referrer.premiumDays);
+        await this.subscriptionService.grantBoostCredits(referral.referrer, referrer.boosts);
+        await this.subscriptionService.grantPremiumDays(referral.referred, referred.premiumDays);
+        await this.subscriptionService.grantBoostCredits(referral.referred, referred.boosts);
+        await User.findByIdAndUpdate(referral.referrer, { $inc: { referralCount: 1 } });
+
+        return referral;
+    }
+
+    // Rewards the referrer has received in the last 30 days, or null if no pending referral exists
+    async countRecentRewards(referredUserId) {
+        const pending = await Referral.findOne({ referred: referredUserId, status: 'pending' }).select('referrer');
+        if (!pending) return null;
+
+        return await Referral.countDocuments({
+            referrer: pending.referrer,
+            status: 'rewarded',
+            rewardedAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+        });
+    }
+
+    async getStats(userId) {
+        const [code, referrals] = await Promise.all([
+            this.getOrCreateCode(userId),
+            Referral.find({ referrer: userId })
+                .populate('referred', 'firstName')
+                .sort({ createdAt: -1 })
+        ]);
+
+        const counts = { total: referrals.length, pending: 0, rewarded: 0, rejected: 0 };
+        const rewardsEarned = { premiumDays: 0, boosts: 0 };
+
+        referrals.forEach(referral => {
+            counts[referral.status]++;
+            if (referral.status === 'rewarded' && referral.referrerReward) {
+                rewardsEarned.premiumDays += referral.referrerReward.premiumDays || 0;
+                rewardsEarned.boosts += referral.referrerReward.boosts || 0;
+            }
+        });
+
+        return {
+            code,
+            shareUrl: `${process.env.CLIENT_URL}/join?ref=${code}`,
+            counts,
+            rewardsEarned,
+            qualifyOn: referralConfig.qualifyOn,
+            referrals: referrals.map(referral => ({
+                firstName: referral.referred ? referral.referred.firstName : null,
+                status: referral.status,
+                joinedAt: referral.createdAt,
+                rewardedAt: referral.rewardedAt
+            }))
+        };
+    }
+
+    // The /24 (IPv4) or /64 (IPv6) an address belongs to, roughly one home or office network
+    subnetOf(ipAddress) {
+        if (!ipAddress) return null;
+        const ip = String(ipAddress).split('%')[0].replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+        if (ip.includes('.')) {
+            const octets = ip.split('.');
+            return octets.length === 4 ? `${octets.slice(0, 3).join('.')}.0/24` : null;
+        }
+
+        const [head, tail] = ip.toLowerCase().split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = tail === undefined
+            ? headGroups
+            : [...headGroups, ...new Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups];
+        if (groups.length !== 8) return null;
+
+        return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+    }
+
+    // Gmail-style aliases (dots, +tags) all deliver to the same inbox
+    normalizeEmail(email) {
+        const [local, domain] = String(email).toLowerCase().split('@');
+        const withoutTag = local.split('+')[0];
+        const isGmail = domain === 'gmail.com' || domain === 'googlemail.com';
+        return `${isGmail ? withoutTag.replace(/\./g, '') : withoutTag}@${isGmail ? 'gmail.com' : domain}`;
+    }
+}
+
+module.exports = ReferralService;
@@ -0,0 +1,116 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateSecureToken, hashToken, safeCompare } = require('../utils/helpers');
+
+class SessionService {
+    constructor() {
+        this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlMs = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+    }
+
+    // Starts a new device session and returns the first access/refresh token pair
+    async createSession(user, req, options = {}) {
+        const secret = generateSecureToken();
+        const session = new Session({
+            user: user._id,
+            refreshTokenHash: hashToken(secret),
+            twoFactorVerified: !!options.twoFactorVerified,
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip,
+            deviceId: req.headers['x-device-id'],
+            expiresAt: new Date(Date.now() + this.refreshTokenTtlMs)
+        });
+
+        await session.save();
+
+        return this.buildTokens(user._id, session, secret);
+    }
+
+    // Refresh tokens are single use: each call swaps the stored hash for a new one.
+    // Presenting an already-rotated token means it leaked, so the whole session is revoked.
+    async rotateRefreshToken(refreshToken, req) {
+        const [sessionId, secret] = (refreshToken || '').split('.');
+        if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+        const session = await Session.findById(sessionId);
+        if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+        if (!safeCompare(hashToken(secret), session.refreshTokenHash)) {
+            await this.revokeSession(session._id, 'token_reuse');
+            console.warn(`Refresh token reuse detected for session ${session._id}`);
+            return null;
+        }
+
+        const nextSecret = generateSecureToken();
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+            {
+                refreshTokenHash: hashToken(nextSecret),
+                lastUsedAt: new Date(),
+                userAgent: req.headers['user-agent'],
+                ipAddress: req.ip
+            },
+            { new: true }
+        );
+
+        // Another request rotated the same token first
+        if (!rotated) return null;
+
+        return this.buildTokens(rotated.user, rotated, nextSecret);
+    }
+
+    async findActiveSession(sessionId, userId) {
+        const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+        if (!session || session.expiresAt < new Date()) return null;
+        return session;
+    }
+
+    async markTwoFactorVerified(sessionId) {
+        await Session.updateOne({ _id: sessionId }, { twoFactorVerified: true });
+    }
+
+    async listSessions(userId) {
+        return await Session.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+            .sort({ lastUsedAt: -1 });
+    }
+
+    async revokeSession(sessionId, reason, userId = null) {
+        if (!/^[a-f\d]{24}$/i.test(String(sessionId))) return false;
+
+        const query = { _id: sessionId, revokedAt: null };
+        if (userId) query.user = userId;
+
+        const result = await Session.updateOne(query, { revokedAt: new Date(), revokedReason: reason });
+        return result.modifiedCount > 0;
+    }
+
+    async revokeAllSessions(userId, reason, exceptSessionId = null) {
+        const query = { user: userId, revokedAt: null };
+        if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+        const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+        return result.modifiedCount;
+    }
+
+    buildTokens(userId, session, secret) {
+        const accessToken = jwt.sign(
+            { userId, sessionId: session._id },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenTtl }
+        );
+
+        return {
+            accessToken,
+            refreshToken: `${session._id}.${secret}`,
+            refreshTokenExpiresAt: session.expiresAt,
+            session
+        };
+    }
+}
+
+module.exports = SessionService;
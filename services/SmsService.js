@@ -0,0 +1,62 @@
+// SMS providers implement a single method: send(to, body) -> Promise<{ id }>
+// where `to` is an E.164 number.
+
+class TwilioSmsProvider {
+    constructor() {
+        this.client = require('twilio')(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        this.from = process.env.TWILIO_FROM_NUMBER;
+    }
+
+    async send(to, body) {
+        const message = await this.client.messages.create({ to, from: this.from, body });
+        return { id: message.sid };
+    }
+}
+
+// Keeps messages in memory instead of sending them; used in tests and local development
+class MemorySmsProvider {
+    constructor() {
+        this.messages = [];
+    }
+
+    async send(to, body) {
+        const id = `mem_${this.messages.length + 1}`;
+        this.messages.push({ id, to, body, sentAt: new Date() });
+        return { id };
+    }
+
+    clear() {
+        this.messages.length = 0;
+    }
+}
+
+const providerFactories = {
+    twilio: () => new TwilioSmsProvider(),
+    memory: () => new MemorySmsProvider()
+};
+const providers = {};
+
+class SmsService {
+    constructor(options = {}) {
+        this.provider = options.provider || SmsService.getProvider(process.env.SMS_PROVIDER || 'twilio');
+    }
+
+    static registerProvider(name, provider) {
+        providers[name] = provider;
+    }
+
+    // Providers are created once so the memory provider's outbox is shared across services
+    static getProvider(name) {
+        if (!providers[name]) {
+            if (!providerFactories[name]) throw new Error(`Unknown SMS provider: ${name}`);
+            providers[name] = providerFactories[name]();
+        }
+        return providers[name];
+    }
+
+    async send(to, body) {
+        return await this.provider.send(to, body);
+    }
+}
+
+module.exports = { SmsService, TwilioSmsProvider, MemorySmsProvider };
@@ -0,0 +1,68 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const User = require('../models/User');
+const tiers = require('../config/tiers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+    // Plan the user is currently entitled to: 'free', 'premium' or 'premium_plus'
+    getTier(user) {
+        const subscription = user.subscription;
+        if (!subscription) return user.subscriptionTier || 'free';
+
+        const isCurrent = subscription.status === 'active' && (!subscription.endDate || subscription.endDate > new Date());
+        return isCurrent && subscription.plan ? subscription.plan : 'free';
+    }
+
+    // Database filter for users getTier() would put on a paid plan
+    paidPlanQuery() {
+        const paidPlans = Object.keys(tiers).filter(plan => plan !== 'free');
+        return {
+            $or: [
+                {
+                    'subscription.status': 'active',
+                    'subscription.plan': { $in: paidPlans },
+                    $or: [{ 'subscription.endDate': null }, { 'subscription.endDate': { $gt: new Date() } }]
+                },
+                { subscription: { $exists: false }, subscriptionTier: { $in: paidPlans } }
+            ]
+        };
+    }
+
+    // Adds complimentary premium time. Free or complimentary plans are extended in place;
+    // Stripe-billed plans get the days as a free trial period before the next invoice.
+    async grantPremiumDays(userId, days, plan = 'premium') {
+        if (!days) return;
+
+        const user = await User.findById(userId).select('subscription');
+        const subscription = user.subscription || {};
+
+        if (subscription.stripeSubscriptionId && subscription.status === 'active') {
+            const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId);
+            const periodEnd = stripeSubscription.trial_end || stripeSubscription.current_period_end;
+
+            await stripe.subscriptions.update(subscription.stripeSubscriptionId, {
+                trial_end: periodEnd + days * 24 * 60 * 60,
+                proration_behavior: 'none'
+            });
+            return;
+        }
+
+        const isActivePremium = subscription.plan !== 'free' && subscription.endDate && subscription.endDate > new Date();
+        const startsFrom = isActivePremium ? subscription.endDate.getTime() : Date.now();
+
+        await User.findByIdAndUpdate(userId, {
+            'subscription.plan': isActivePremium ? subscription.plan : plan,
+            'subscription.status': 'active',
+            'subscription.startDate': isActivePremium ? subscription.startDate : new Date(),
+            'subscription.endDate': new Date(startsFrom + days * DAY_MS)
+        });
+    }
+
+    async grantBoostCredits(userId, count) {
+        if (!count) return;
+        await User.findByIdAndUpdate(userId, { $inc: { boostCredits: count } });
+    }
+}
+
+module.exports = SubscriptionService;
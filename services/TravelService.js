@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const travelConfig = require('../config/travel');
+const CompatibilityIndexService = require('./CompatibilityIndexService');
+const { toGeoPoint, getCoordinates } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// While a trip is active the destination is swapped into user.location, so discovery,
+// distance and the compatibility index all work from it unchanged. The home location
+// is parked in travel.homeLocation and put back when the trip ends.
+class TravelService {
+    constructor(config = travelConfig) {
+        this.config = config;
+        this.compatibilityIndexService = new CompatibilityIndexService();
+    }
+
+    getTravel(user) {
+        const travel = user.travel;
+        if (!travel || !travel.status) return null;
+
+        return {
+            city: travel.city,
+            location: getCoordinates(travel.location),
+            startsAt: travel.startsAt,
+            endsAt: travel.endsAt,
+            active: travel.status === 'active'
+        };
+    }
+
+    // Sets or replaces the user's trip. Without `startsAt` the trip starts now.
+    async setTravel(user, { lat, lng, city, startsAt, endsAt }) {
+        const now = new Date();
+        const start = startsAt ? new Date(startsAt) : now;
+        const end = new Date(endsAt);
+
+        if (end <= start || end <= now) {
+            return { success: false, reason: 'invalid_dates' };
+        }
+        if (end - start > this.config.maxTripDays * DAY_MS || start - now > this.config.maxLeadDays * DAY_MS) {
+            return { success: false, reason: 'too_long' };
+        }
+
+        const isActive = user.travel && user.travel.status === 'active';
+        const travel = {
+            status: isActive ? 'active' : 'scheduled',
+            city,
+            location: toGeoPoint({ lat, lng }),
+            startsAt: start,
+            endsAt: end,
+            homeLocation: isActive ? user.travel.homeLocation : undefined
+        };
+
+        // A trip that's already running moves with its new destination, or ends if it now starts later
+        const update = { travel };
+        if (isActive) {
+            if (start > now) {
+                update.location = travel.homeLocation;
+                travel.status = 'scheduled';
+                travel.homeLocation = undefined;
+            } else {
+                update.location = travel.location;
+            }
+        }
+
+        await User.updateOne({ _id: user._id }, { $set: update });
+        if (isActive) {
+            await this.compatibilityIndexService.onProfileUpdated(user._id);
+        }
+
+        if (travel.status === 'scheduled' && start <= now) {
+            await this.activate(user._id);
+        }
+
+        const updated = await User.findById(user._id).select('travel');
+        return { success: true, travel: this.getTravel(updated) };
+    }
+
+    async cancelTravel(user) {
+        if (!user.travel || !user.travel.status) return false;
+
+        if (user.travel.status === 'active') {
+            return await this.restore(user._id);
+        }
+
+        await User.updateOne({ _id: user._id, 'travel.status': 'scheduled' }, { $unset: { travel: '' } });
+        return true;
+    }
+
+    async activate(userId) {
+        const result = await User.updateOne(
+            { _id: userId, 'travel.status': 'scheduled' },
+            [{ $set: { 'travel.homeLocation': '$location', location: '$travel.location', 'travel.status': 'active' } }]
+        );
+        if (!result.modifiedCount) return false;
+
+        await this.compatibilityIndexService.onProfileUpdated(userId);
+        return true;
+    }
+
+    async restore(userId) {
+        const result = await User.updateOne(
+            { _id: userId, 'travel.status': 'active' },
+            [{ $set: { location: '$travel.homeLocation' } }, { $unset: 'travel' }]
+        );
+        if (!result.modifiedCount) return false;
+
+        await this.compatibilityIndexService.onProfileUpdated(userId);
+        return true;
+    }
+
+    // Starts trips that are due and brings travellers home once their trip is over
+    async processTrips(now = new Date()) {
+        const [due, ended] = await Promise.all([
+            User.find({ 'travel.status': 'scheduled', 'travel.startsAt': { $lte: now }, 'travel.endsAt': { $gt: now } })
+                .select('_id').lean(),
+            User.find({ 'travel.status': 'active', 'travel.endsAt': { $lte: now } }).select('_id').lean()
+        ]);
+
+        let started = 0;
+        for (const user of due) {
+            if (await this.activate(user._id)) started++;
+        }
+
+        let restored = 0;
+        for (const user of ended) {
+            if (await this.restore(user._id)) restored++;
+        }
+
+        // Scheduled trips that ended before they were ever started
+        const lapsed = await User.updateMany(
+            { 'travel.status': 'scheduled', 'travel.endsAt': { $lte: now } },
+            { $unset: { travel: '' } }
+        );
+
+        return { started, restored, lapsed: lapsed.modifiedCount };
+    }
+}
+
+module.exports = TravelService;
@@ -0,0 +1,161 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const TwoFactor = require('../models/TwoFactor');
+const { generateSecureToken, hashToken, encryptSecret, decryptSecret } = require('../utils/helpers');
+
+const TOTP_STEP_SECONDS = 30;
+
+// Accept the previous and next code to tolerate clock drift on the user's phone
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TOTP_ISSUER || 'SoulMate Connect';
+        this.challengeTtl = '5m';
+        this.recoveryCodeCount = 10;
+    }
+
+    async isEnabled(userId) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: true }).select('_id');
+        return !!record;
+    }
+
+    // Admins must use 2FA; everyone else only once they've opted in
+    isMandatory(user) {
+        return user.role === 'admin';
+    }
+
+    // Starts (or restarts) enrollment with a fresh secret that stays inactive until confirmed
+    async beginEnrollment(user) {
+        const existing = await TwoFactor.findOne({ user: user._id });
+        if (existing && existing.enabled) {
+            return null;
+        }
+
+        const secret = authenticator.generateSecret();
+        await TwoFactor.findOneAndUpdate(
+            { user: user._id },
+            { secret: encryptSecret(secret), enabled: false, recoveryCodes: [], lastUsedStep: null },
+            { upsert: true }
+        );
+
+        const otpauthUrl = authenticator.keyuri(user.email, this.issuer, secret);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        return { secret, otpauthUrl, qrCode };
+    }
+
+    // Returns the plaintext recovery codes once; only their hashes are kept
+    async confirmEnrollment(userId, code) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: false });
+        if (!record || !(await this.consumeTotp(record, code))) {
+            return null;
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        record.enabled = true;
+        record.enabledAt = new Date();
+        record.recoveryCodes = recoveryCodes.map(recoveryCode => ({ codeHash: hashToken(recoveryCode) }));
+        await record.save();
+
+        return recoveryCodes;
+    }
+
+    async verify(userId, { code, recoveryCode }) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: true });
+        if (!record) return false;
+
+        if (recoveryCode) {
+            const codeHash = hashToken(this.normalizeRecoveryCode(recoveryCode));
+            const result = await TwoFactor.updateOne(
+                { _id: record._id, recoveryCodes: { $elemMatch: { codeHash, usedAt: null } } },
+                { $set: { 'recoveryCodes.$.usedAt': new Date() } }
+            );
+            return result.modifiedCount > 0;
+        }
+
+        return await this.consumeTotp(record, code);
+    }
+
+    async regenerateRecoveryCodes(userId, code) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: true });
+        if (!record || !(await this.consumeTotp(record, code))) {
+            return null;
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        record.recoveryCodes = recoveryCodes.map(recoveryCode => ({ codeHash: hashToken(recoveryCode) }));
+        await record.save();
+
+        return recoveryCodes;
+    }
+
+    async disable(userId, code) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: true });
+        if (!record || !(await this.consumeTotp(record, code))) {
+            return false;
+        }
+
+        await TwoFactor.deleteOne({ _id: record._id });
+        return true;
+    }
+
+    async getStatus(userId) {
+        const record = await TwoFactor.findOne({ user: userId, enabled: true });
+        if (!record) return { enabled: false };
+
+        return {
+            enabled: true,
+            enabledAt: record.enabledAt,
+            recoveryCodesRemaining: record.recoveryCodes.filter(entry => !entry.usedAt).length
+        };
+    }
+
+    // Short-lived proof that the password step succeeded; exchanged at /login/2fa
+    createChallengeToken(userId) {
+        return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: this.challengeTtl });
+    }
+
+    verifyChallengeToken(token) {
+        try {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            return decoded.purpose === '2fa_challenge' ? decoded.userId : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async consumeTotp(record, code) {
+        if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return false;
+
+        const delta = authenticator.checkDelta(code, decryptSecret(record.secret));
+        if (delta === null) return false;
+
+        const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+
+        // Atomically claim the step so the same code can't be used twice
+        const result = await TwoFactor.updateOne(
+            {
+                _id: record._id,
+                $or: [{ lastUsedStep: null }, { lastUsedStep: { $lt: step } }]
+            },
+            { lastUsedStep: step }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    generateRecoveryCodes() {
+        return Array.from({ length: this.recoveryCodeCount }, () => {
+            const raw = generateSecureToken(5);
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+    }
+
+    normalizeRecoveryCode(recoveryCode) {
+        const cleaned = String(recoveryCode).toLowerCase().replace(/[^a-f\d]/g, '');
+        return `${cleaned.slice(0, 5)}-${cleaned.slice(5)}`;
+    }
+}
+
+module.exports = TwoFactorService;
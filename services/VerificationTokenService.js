@@ -0,0 +1,54 @@
+const VerificationToken = require('../models/VerificationToken');
+const { generateSecureToken, hashToken } = require('../utils/helpers');
+
+class VerificationTokenService {
+    // Issues a single-use token, invalidating any outstanding token for the same purpose.
+    // Only the hash is stored; the raw token is returned once for delivery to the user.
+    async issue(userId, purpose, ttlMs) {
+        await VerificationToken.updateMany(
+            { user: userId, purpose, usedAt: null, invalidatedAt: null },
+            { invalidatedAt: new Date() }
+        );
+
+        const token = generateSecureToken();
+        await VerificationToken.create({
+            user: userId,
+            purpose,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMs)
+        });
+
+        return token;
+    }
+
+    // Marks the token used and returns the owning user id, or null if invalid/expired/spent
+    async consume(token, purpose) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const record = await VerificationToken.findOneAndUpdate(
+            {
+                tokenHash: hashToken(token),
+                purpose,
+                usedAt: null,
+                invalidatedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { usedAt: new Date() },
+            { new: true }
+        );
+
+        return record ? record.user : null;
+    }
+
+    async getRecentIssues(userId, purpose, sinceMs) {
+        return await VerificationToken.find({
+            user: userId,
+            purpose,
+            createdAt: { $gte: new Date(Date.now() - sinceMs) }
+        })
+            .select('createdAt')
+            .sort({ createdAt: -1 });
+    }
+}
+
+module.exports = VerificationTokenService;
@@ -0,0 +1,198 @@
+// Two-way preference filtering on fixture users. Run with:
+//   node --test tests/
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PreferenceService = require('../services/PreferenceService');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// About 80 miles apart
+const NEW_YORK = { type: 'Point', coordinates: [-74.0060, 40.7128] };
+const PHILADELPHIA = { type: 'Point', coordinates: [-75.1652, 39.9526] };
+
+// Half a year past the birthday, so ages never sit on a boundary
+const bornYearsAgo = (age) => new Date(Date.now() - (age + 0.5) * YEAR_MS);
+
+const fixtureUser = ({ age = 30, preferences = {}, ...fields } = {}) => ({
+    gender: 'female',
+    dateOfBirth: bornYearsAgo(age),
+    isVerified: false,
+    location: NEW_YORK,
+    preferences: { ageMin: 18, ageMax: 100, showMe: ['male', 'female', 'non-binary'], maxDistance: 100, ...preferences },
+    ...fields
+});
+
+const preferenceService = new PreferenceService();
+
+const mutual = (a, b) => [preferenceService.isMutualMatch(a, b), preferenceService.isMutualMatch(b, a)];
+
+describe('PreferenceService.isMutualMatch', () => {
+    it('accepts a pair that fits both sets of preferences', () => {
+        const alice = fixtureUser({ preferences: { showMe: ['male'] } });
+        const bob = fixtureUser({ gender: 'male', age: 32, preferences: { showMe: ['female'] } });
+
+        assert.deepEqual(mutual(alice, bob), [true, true]);
+    });
+
+    describe('age range', () => {
+        it('rejects a candidate outside the user\'s range', () => {
+            const alice = fixtureUser({ preferences: { ageMin: 25, ageMax: 35 } });
+            const bob = fixtureUser({ gender: 'male', age: 40 });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects a user outside the candidate\'s range', () => {
+            const alice = fixtureUser({ age: 30 });
+            const bob = fixtureUser({ gender: 'male', age: 28, preferences: { ageMin: 21, ageMax: 29 } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('includes both ends of the range', () => {
+            const alice = fixtureUser({ age: 25, preferences: { ageMin: 35, ageMax: 40 } });
+            const bob = fixtureUser({ gender: 'male', age: 35, preferences: { ageMin: 20, ageMax: 25 } });
+
+            assert.deepEqual(mutual(alice, bob), [true, true]);
+        });
+    });
+
+    describe('showMe and visibleTo', () => {
+        it('rejects a candidate whose gender the user does not want to see', () => {
+            const alice = fixtureUser({ preferences: { showMe: ['female'] } });
+            const bob = fixtureUser({ gender: 'male' });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects a user whose gender the candidate does not want to see', () => {
+            const alice = fixtureUser({ preferences: { showMe: ['male'] } });
+            const bob = fixtureUser({ gender: 'male', preferences: { showMe: ['male'] } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects a candidate the user is hidden from', () => {
+            const alice = fixtureUser({ preferences: { showMe: ['male'], visibleTo: ['female'] } });
+            const bob = fixtureUser({ gender: 'male', preferences: { showMe: ['female'] } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects a user the candidate is hidden from', () => {
+            const alice = fixtureUser({ preferences: { showMe: ['male'] } });
+            const bob = fixtureUser({ gender: 'male', preferences: { showMe: ['female'], visibleTo: ['male'] } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('falls back to lookingFor when showMe was never set', () => {
+            const alice = fixtureUser({ lookingFor: 'women', preferences: { showMe: [] } });
+            const bob = fixtureUser({ gender: 'male' });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+    });
+
+    describe('distance', () => {
+        it('rejects the pair when the user\'s max distance is too short', () => {
+            const alice = fixtureUser({ preferences: { maxDistance: 50 } });
+            const bob = fixtureUser({ gender: 'male', location: PHILADELPHIA, preferences: { maxDistance: 100 } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects the pair when the candidate\'s max distance is too short', () => {
+            const alice = fixtureUser({ preferences: { maxDistance: 100 } });
+            const bob = fixtureUser({ gender: 'male', location: PHILADELPHIA, preferences: { maxDistance: 50 } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('accepts the pair when both max distances cover it', () => {
+            const alice = fixtureUser({ preferences: { maxDistance: 90 } });
+            const bob = fixtureUser({ gender: 'male', location: PHILADELPHIA, preferences: { maxDistance: 100 } });
+
+            assert.deepEqual(mutual(alice, bob), [true, true]);
+        });
+
+        it('uses the default max distance when none is set', () => {
+            const alice = fixtureUser({ preferences: { maxDistance: undefined } });
+            const bob = fixtureUser({ gender: 'male', location: PHILADELPHIA });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('skips the distance check when either location is unknown', () => {
+            const alice = fixtureUser({ preferences: { maxDistance: 5 } });
+            const bob = fixtureUser({ gender: 'male', location: null, preferences: { maxDistance: 5 } });
+
+            assert.deepEqual(mutual(alice, bob), [true, true]);
+        });
+    });
+
+    describe('verified only', () => {
+        it('rejects an unverified candidate for a verified-only user', () => {
+            const alice = fixtureUser({ isVerified: true, preferences: { verifiedOnly: true } });
+            const bob = fixtureUser({ gender: 'male' });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('rejects an unverified user for a verified-only candidate', () => {
+            const alice = fixtureUser();
+            const bob = fixtureUser({ gender: 'male', isVerified: true, preferences: { verifiedOnly: true } });
+
+            assert.deepEqual(mutual(alice, bob), [false, false]);
+        });
+
+        it('accepts verified-only users who are both verified', () => {
+            const alice = fixtureUser({ isVerified: true, preferences: { verifiedOnly: true } });
+            const bob = fixtureUser({ gender: 'male', isVerified: true, preferences: { verifiedOnly: true } });
+
+            assert.deepEqual(mutual(alice, bob), [true, true]);
+        });
+    });
+});
+
+describe('PreferenceService.discoveryQuery', () => {
+    it('filters candidates by the user\'s own preferences', () => {
+        const alice = fixtureUser({
+            isVerified: true,
+            preferences: { ageMin: 25, ageMax: 35, showMe: ['male', 'non-binary'], visibleTo: ['male'], maxDistance: 40, verifiedOnly: true }
+        });
+        const query = preferenceService.discoveryQuery(alice);
+
+        assert.deepEqual(query.gender, { $in: ['male'] });
+        assert.equal(query.isVerified, true);
+        assert.ok(query.dateOfBirth.$lte <= bornYearsAgo(25 - 0.5));
+        assert.ok(query.dateOfBirth.$gt <= bornYearsAgo(35));
+        assert.ok(query.dateOfBirth.$gt > bornYearsAgo(36));
+
+        const [[lng, lat], radius] = query.location.$geoWithin.$centerSphere;
+        assert.deepEqual({ lng, lat }, { lng: -74.0060, lat: 40.7128 });
+        assert.equal(radius, 40 / 3959);
+    });
+
+    it('filters candidates by their preferences about the user', () => {
+        const alice = fixtureUser({ age: 30 });
+        const query = preferenceService.discoveryQuery(alice);
+
+        assert.deepEqual(query['preferences.ageMin'], { $not: { $gt: 30 } });
+        assert.deepEqual(query['preferences.ageMax'], { $not: { $lt: 30 } });
+        assert.deepEqual(query['preferences.verifiedOnly'], { $ne: true });
+        assert.deepEqual(query.$and, [
+            { $or: [{ 'preferences.showMe': 'female' }, { 'preferences.showMe.0': { $exists: false } }] },
+            { $or: [{ 'preferences.visibleTo': 'female' }, { 'preferences.visibleTo.0': { $exists: false } }] }
+        ]);
+    });
+
+    it('leaves out filters it has nothing to apply from', () => {
+        const query = preferenceService.discoveryQuery({ isVerified: true, preferences: {} });
+
+        assert.equal(query.location, undefined);
+        assert.equal(query.$and, undefined);
+        assert.equal(query['preferences.ageMin'], undefined);
+        assert.equal(query['preferences.verifiedOnly'], undefined);
+    });
+});